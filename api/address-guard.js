@@ -0,0 +1,110 @@
+/**
+ * ADDRESS GUARD - Keep server-side fetches off internal networks
+ * URLs we fetch on a caller's behalf must resolve to public addresses:
+ * loopback, private, link-local (cloud metadata), CGNAT, multicast and
+ * reserved ranges are refused. Checked before each request and again when
+ * the socket connects, so a DNS answer that changes in between is caught too.
+ *
+ * FETCH_ALLOW_PRIVATE=true turns the guard off (self-hosted intranet crawling only).
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const ALLOW_PRIVATE = process.env.FETCH_ALLOW_PRIVATE === 'true';
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // CGNAT, also Alibaba Cloud metadata
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64 can reach any IPv4 address
+  ['2001::', 32], // Teredo tunnels to an embedded IPv4 address
+  ['2001:db8::', 32],
+  ['2002::', 16], // 6to4 embeds an IPv4 address
+  ['fc00::', 7], // unique local, also AWS metadata (fd00:ec2::254)
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+class BlockedAddressError extends Error {
+  constructor(url, address) {
+    super(`Refusing to fetch ${url}: ${address} is not a public address`);
+    this.name = 'BlockedAddressError';
+    this.code = 'ADDRESS_BLOCKED';
+    this.status = 403;
+    this.url = url;
+    this.address = address;
+  }
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Throws BlockedAddressError unless the http(s) URL's host resolves only to
+ * public addresses. Resolves to the URL object.
+ */
+async function assertPublicUrl(input) {
+  const url = new URL(input);
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`Unsupported protocol: ${url.protocol}`);
+  if (ALLOW_PRIVATE) return url;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+  if (net.isIP(host) === 0) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`Could not resolve ${host}: ${error.code || error.message}`);
+    }
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) throw new BlockedAddressError(url.href, blocked);
+  return url;
+}
+
+// dns.lookup with the same check, for the sockets themselves
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || ALLOW_PRIVATE) return callback(error, address, family);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) return callback(new BlockedAddressError(hostname, blocked));
+    return callback(null, address, family);
+  });
+}
+
+// Pass as axios httpAgent/httpsAgent
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+module.exports = {
+  assertPublicUrl,
+  isPrivateAddress,
+  guardedLookup,
+  httpAgent,
+  httpsAgent,
+  BlockedAddressError,
+};
@@ -33,10 +33,10 @@ export async function dashboardHandler(req, res) {
  */
 export async function dashboardStatsHandler(req, res) {
   try {
-    // Import StatsTracker
-    const { StatsTracker } = await import('./stats.js');
+    // Import StatsTracker (CommonJS, so it is the default export)
+    const { default: StatsTracker } = await import('./stats.js');
     
-    const stats = StatsTracker.getStats();
+    const stats = await StatsTracker.getStats();
     
     return res.status(200).json({
       totalSearches: stats.totalSearches,
@@ -0,0 +1,132 @@
+/**
+ * EMBEDDINGS - Pluggable text embedding providers
+ * Gemini embeddings through @google/generative-ai when GEMINI_API_KEY is
+ * set, otherwise a local hashing vectorizer that needs no network. Every
+ * vector is L2-normalized, so cosine similarity is a dot product. Vectors
+ * from different providers live in different spaces and are never compared.
+ */
+
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+const { tokenize } = require('./text-tokenizer');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+const EMBEDDING_TIMEOUT = parseInt(process.env.EMBEDDING_TIMEOUT || '15000', 10);
+// auto = gemini when configured, else local
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'auto';
+const LOCAL_DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '512', 10);
+const GEMINI_BATCH_SIZE = 100;
+
+function normalizeVector(values) {
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? values.map(value => value / norm) : values;
+}
+
+// ============= GEMINI =============
+let geminiModel = null;
+
+async function geminiEmbed(texts, { task = 'document' } = {}) {
+  if (!geminiModel) {
+    geminiModel = new GoogleGenerativeAI(GEMINI_API_KEY)
+      .getGenerativeModel({ model: GEMINI_EMBEDDING_MODEL }, { timeout: EMBEDDING_TIMEOUT });
+  }
+  const taskType = task === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += GEMINI_BATCH_SIZE) {
+    const response = await geminiModel.batchEmbedContents({
+      requests: texts.slice(i, i + GEMINI_BATCH_SIZE).map(text => ({
+        content: { role: 'user', parts: [{ text }] },
+        taskType,
+      })),
+    });
+    vectors.push(...response.embeddings.map(embedding => normalizeVector(embedding.values)));
+  }
+  return vectors;
+}
+
+// ============= LOCAL HASHING VECTORIZER =============
+// FNV-1a, 32-bit
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Stemmed terms and adjacent-term bigrams hashed into LOCAL_DIMENSIONS
+ * buckets with a sign bit (the hashing trick), weighted 1 + ln(tf).
+ * Stateless, so vectors never go stale as the corpus grows.
+ */
+function hashingEmbed(text) {
+  const terms = tokenize(text);
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  terms.forEach((term, index) => {
+    add(term, 1);
+    if (index > 0) add(`${terms[index - 1]} ${term}`, 0.5);
+  });
+
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  for (const [feature, count] of counts) {
+    const bucket = hash(feature) % LOCAL_DIMENSIONS;
+    const sign = hash(`~${feature}`) & 1 ? 1 : -1;
+    vector[bucket] += sign * (1 + Math.log(count));
+  }
+  return normalizeVector(vector);
+}
+
+// ============= PROVIDERS =============
+const EMBEDDING_PROVIDERS = {
+  'gemini': {
+    configured: () => Boolean(GEMINI_API_KEY),
+    model: GEMINI_EMBEDDING_MODEL,
+    embed: geminiEmbed,
+  },
+  'local': {
+    configured: () => true,
+    model: `hashing-${LOCAL_DIMENSIONS}`,
+    embed: async texts => texts.map(hashingEmbed),
+  },
+};
+
+function resolveProvider(name = EMBEDDING_PROVIDER) {
+  if (!name || name === 'auto') return EMBEDDING_PROVIDERS.gemini.configured() ? 'gemini' : 'local';
+  if (!EMBEDDING_PROVIDERS[name]) {
+    throw new Error(`Unknown embedding provider: ${name}. Available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Embed texts. `task` is 'document' (stored passages) or 'query'.
+ * Resolves to { provider, model, space, dimensions, vectors }.
+ * Provider errors are thrown, never answered from another provider: local
+ * vectors stored in place of Gemini ones could not be found by Gemini queries.
+ */
+async function embed(texts, { provider, task = 'document' } = {}) {
+  const name = resolveProvider(provider);
+  const vectors = await EMBEDDING_PROVIDERS[name].embed(texts, { task });
+  const { model } = EMBEDDING_PROVIDERS[name];
+  return { provider: name, model, space: `${name}:${model}`, dimensions: vectors[0]?.length || 0, vectors };
+}
+
+function listEmbeddingProviders() {
+  const active = resolveProvider();
+  return Object.entries(EMBEDDING_PROVIDERS).map(([name, provider]) => ({
+    name,
+    model: provider.model,
+    configured: provider.configured(),
+    active: name === active,
+  }));
+}
+
+module.exports = {
+  embed,
+  resolveProvider,
+  listEmbeddingProviders,
+  hashingEmbed,
+};
@@ -0,0 +1,141 @@
+/**
+ * FEDERATED SEARCH - One query, several providers, one ranked list
+ * Providers are queried in parallel through the search registry, their
+ * lists are merged with reciprocal rank fusion, and duplicates are removed
+ * by canonical URL. Every merged result says which providers returned it.
+ */
+
+const { searchWith, listProviders } = require('./search-providers');
+const { canonicalUrl } = require('./url-utils');
+
+const RRF_K = parseInt(process.env.FEDERATED_RRF_K || '60', 10);
+const DEFAULT_PROVIDERS = (process.env.FEDERATED_PROVIDERS || 'tavily,bubble,orchestrator')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+const MAX_PROVIDERS = 6;
+
+// Requested providers, or the configured defaults (falling back to every configured web provider)
+function chooseProviders(requested) {
+  if (Array.isArray(requested) && requested.length > 0) {
+    return Array.from(new Set(requested.map(String))).slice(0, MAX_PROVIDERS);
+  }
+  const configured = listProviders({ capability: 'web' }).filter(provider => provider.configured);
+  const defaults = configured.filter(provider => DEFAULT_PROVIDERS.includes(provider.name));
+  return (defaults.length > 0 ? defaults : configured).slice(0, MAX_PROVIDERS).map(provider => provider.name);
+}
+
+// ============= RECIPROCAL RANK FUSION =============
+/**
+ * score(d) = sum over providers of weight / (k + rank), rank being the
+ * 1-based position of d in that provider's list. Lists are deduplicated by
+ * canonical URL first, so a provider counts once per document.
+ */
+function fuseResults(responses, { k = RRF_K, weights = {} } = {}) {
+  const merged = new Map();
+
+  for (const response of responses) {
+    const weight = Number(weights[response.provider] ?? 1);
+    const seen = new Set();
+
+    response.results.forEach((result) => {
+      const key = canonicalUrl(result.url);
+      if (seen.has(key)) return;
+      seen.add(key);
+      const rank = seen.size;
+
+      const entry = merged.get(key) || {
+        ...result,
+        url: result.url,
+        canonicalUrl: key,
+        fusedScore: 0,
+        providers: [],
+      };
+      entry.fusedScore += weight / (k + rank);
+      entry.providers.push({ name: response.provider, rank, score: result.score, url: result.url });
+
+      // Keep the richest copy of the text and the earliest publication date
+      if (result.content.length > entry.content.length) entry.content = result.content;
+      if (!entry.publishedAt && result.publishedAt) entry.publishedAt = result.publishedAt;
+      merged.set(key, entry);
+    });
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.fusedScore - a.fusedScore || b.providers.length - a.providers.length)
+    .map(({ provider, rank, score, ...result }, index) => ({
+      ...result,
+      rank: index + 1,
+      fusedScore: Number(result.fusedScore.toFixed(6)),
+      sources: result.providers.map(entry => entry.name),
+    }));
+}
+
+// ============= SEARCH =============
+/**
+ * @param {string} query
+ * @param {object} options - { providers, maxResults, perProvider, k, weights, depth, topic, onProgress }
+ */
+async function federatedSearch(query, options = {}) {
+  const { maxResults = 10, perProvider = 10, k = RRF_K, weights, onProgress, providers: requested, ...searchOptions } = options;
+  const providers = chooseProviders(requested);
+  const started = Date.now();
+  let done = 0;
+
+  if (providers.length === 0) {
+    return { query, success: false, error: 'No search provider is configured', providers: [], results: [] };
+  }
+  if (onProgress) onProgress(0, providers.length, `Querying ${providers.join(', ')}`);
+
+  const responses = await Promise.all(providers.map(async (name) => {
+    const providerStarted = Date.now();
+    let response;
+    try {
+      response = await searchWith(query, { ...searchOptions, provider: name, maxResults: perProvider });
+    } catch (error) {
+      response = { provider: name, query, success: false, error: error.message, results: [] };
+    }
+    done++;
+    if (onProgress) onProgress(done, providers.length, `${name}: ${response.success ? `${response.results.length} results` : response.error}`);
+    return { ...response, requested: name, latency: Date.now() - providerStarted };
+  }));
+
+  // Two requested providers can end up answered by the same one; count it once
+  const succeeded = responses
+    .filter(response => response.success && response.results.length > 0)
+    .filter((response, index, list) => list.findIndex(other => other.provider === response.provider) === index);
+  const fused = fuseResults(succeeded, { k, weights });
+  const received = succeeded.reduce((sum, response) => sum + response.results.length, 0);
+
+  return {
+    provider: 'federated',
+    query,
+    success: succeeded.length > 0,
+    ...(succeeded.length === 0 && { error: 'No provider returned results' }),
+    results: fused.slice(0, Math.min(Math.max(maxResults, 1), 50)),
+    providers: responses.map(response => ({
+      name: response.requested,
+      // Set when the provider answered through another one (e.g. Tavily without a key)
+      ...(response.provider !== response.requested && { answeredBy: response.provider }),
+      success: response.success,
+      count: response.results.length,
+      latency: response.latency,
+      ...(response.cached && { cached: true }),
+      ...(response.error && { error: response.error }),
+    })),
+    stats: {
+      received,
+      unique: fused.length,
+      duplicatesRemoved: received - fused.length,
+      overlapping: fused.filter(result => result.sources.length > 1).length,
+      k,
+    },
+    duration: Date.now() - started,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  federatedSearch,
+  fuseResults,
+};
@@ -0,0 +1,229 @@
+/**
+ * GROUNDED ANSWERS - Answers with numbered inline citations
+ * Builds an answer from the top search results (Firecrawl full content when
+ * present) where every claim points at its source: [1], [2]...
+ * Uses the LLM chain when a provider is configured, otherwise a
+ * deterministic extractive mode that quotes the best-matching sentences.
+ */
+
+const { intelligentSearch } = require('./search-providers');
+const { complete, availableProviders } = require('./llm-providers');
+const { tokenize } = require('./text-tokenizer');
+
+const MAX_SOURCE_CHARS = 4000;
+const DEFAULT_MAX_SOURCES = 5;
+const EXTRACTIVE_SENTENCES = 5;
+
+// ============= TEXT HELPERS =============
+// Markdown from Firecrawl and snippets from Tavily, reduced to plain prose.
+// Paragraphs (and headings) stay separated by blank lines.
+function plainText(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+(.*)$/gm, '\n$1\n')
+    .replace(/^\s{0,3}([-*+]|>)\s+/gm, '')
+    .replace(/[*_`|]/g, '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function splitSentences(text) {
+  return plainText(text)
+    .split('\n\n')
+    .flatMap(paragraph => paragraph.split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Stemmed, without stop words, so "deploying" in a question matches "deployed" in a source
+function terms(text) {
+  return tokenize(text).filter(term => term.length > 2);
+}
+
+// ============= SOURCES =============
+function buildSources(results, maxSources) {
+  return results.slice(0, maxSources).map((result, index) => {
+    const usedFullContent = Boolean(result.fullContent);
+    const text = plainText(result.fullContent || result.content || result.snippet || '');
+    return {
+      number: index + 1,
+      title: result.title || result.url,
+      url: result.url,
+      usedFullContent,
+      text: text.substring(0, MAX_SOURCE_CHARS),
+    };
+  });
+}
+
+// ============= CITATIONS =============
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Drop citation markers that point at no source, then split the answer into
+ * claims (sentences) with the source numbers each one cites.
+ */
+function parseCitations(answer, sources) {
+  const valid = new Set(sources.map(source => source.number));
+  const cleaned = answer
+    .replace(CITATION, (marker, list) => {
+      const numbers = list.split(',').map(n => parseInt(n, 10)).filter(n => valid.has(n));
+      return numbers.map(n => `[${n}]`).join('');
+    })
+    .replace(/[ \t]+([.,;:!?])/g, '$1')
+    .trim();
+
+  const claims = cleaned
+    .split(/(?<=[.!?](?:\[\d+\])*)\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map((sentence) => {
+      const cited = Array.from(sentence.matchAll(/\[(\d+)\]/g), match => parseInt(match[1], 10));
+      return {
+        text: sentence.replace(/\s*\[\d+\]/g, '').trim(),
+        citations: Array.from(new Set(cited)),
+      };
+    });
+
+  const used = new Set(claims.flatMap(claim => claim.citations));
+  const citations = sources
+    .filter(source => used.has(source.number))
+    .map(({ number, title, url }) => ({ number, title, url }));
+
+  return { answer: cleaned, claims, citations };
+}
+
+// ============= EXTRACTIVE MODE =============
+/**
+ * Deterministic answer: the sentences sharing the most query terms, each
+ * cited to its source. Ties go to higher-ranked sources and earlier
+ * sentences; near-duplicates are skipped.
+ */
+function extractiveAnswer(query, sources, maxSentences = EXTRACTIVE_SENTENCES) {
+  const queryTerms = Array.from(new Set(terms(query)));
+  const candidates = [];
+
+  sources.forEach((source) => {
+    splitSentences(source.text).forEach((sentence, position) => {
+      if (sentence.length < 30 || sentence.length > 400) return;
+      const sentenceTerms = new Set(terms(sentence));
+      const matched = queryTerms.filter(term => sentenceTerms.has(term)).length;
+      if (queryTerms.length > 0 && matched === 0) return;
+      candidates.push({
+        sentence,
+        source: source.number,
+        position,
+        terms: sentenceTerms,
+        score: (queryTerms.length > 0 ? matched / queryTerms.length : 0) - (source.number - 1) * 0.01,
+      });
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.source - b.source || a.position - b.position);
+
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= maxSentences) break;
+    const duplicate = chosen.some((other) => {
+      const shared = [...candidate.terms].filter(term => other.terms.has(term)).length;
+      const union = new Set([...candidate.terms, ...other.terms]).size;
+      return union > 0 && shared / union > 0.6;
+    });
+    if (!duplicate) chosen.push(candidate);
+  }
+
+  const sentence = text => (/[.!?]$/.test(text) ? text.slice(0, -1) : text);
+  return chosen
+    .map(candidate => `${sentence(candidate.sentence)} [${candidate.source}].`)
+    .join(' ');
+}
+
+// ============= LLM MODE =============
+function citationPrompt(query, sources) {
+  const context = sources
+    .map(source => `[${source.number}] ${source.title} (${source.url})\n${source.text}`)
+    .join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'Answer the question using only the numbered sources. Put the source number in square brackets '
+        + 'right after every claim it supports, e.g. [1] or [2][3]. Do not cite anything that is not in the '
+        + 'sources and do not add a reference list. If the sources do not answer the question, say so.',
+    },
+    { role: 'user', content: `Question: ${query}\n\nSources:\n\n${context}` },
+  ];
+}
+
+// ============= ANSWER =============
+// Whether a request in `mode` goes to the LLM chain (callers need the chat scope for it)
+function usesModel(mode = 'auto') {
+  return mode === 'llm' || (mode === 'auto' && availableProviders().length > 0);
+}
+
+/**
+ * @param {string} query
+ * @param {object} options - { maxSources, includeContent, mode: 'auto'|'llm'|'extractive', provider, onProgress }
+ */
+async function answerWithCitations(query, options = {}) {
+  const {
+    maxSources = DEFAULT_MAX_SOURCES,
+    includeContent = true,
+    mode = 'auto',
+    provider,
+    onProgress,
+  } = options;
+
+  const search = await intelligentSearch(query, { includeContent, onProgress });
+  if (!search.success) {
+    return { query, success: false, error: search.error, answer: null, citations: [], claims: [], sources: [] };
+  }
+
+  const sources = buildSources(search.results, Math.min(Math.max(maxSources, 1), 10))
+    .filter(source => source.url && source.text);
+  const publicSources = sources.map(({ text, ...source }) => source);
+
+  if (sources.length === 0) {
+    return { query, success: true, mode: 'none', answer: null, message: 'No sources found', citations: [], claims: [], sources: [] };
+  }
+
+  let generated = null;
+  let fallbackReason = null;
+  if (usesModel(mode)) {
+    try {
+      const result = await complete(citationPrompt(query, sources), { provider, temperature: 0.2, maxTokens: 1024 });
+      generated = { text: result.content, provider: result.provider, model: result.model };
+    } catch (error) {
+      console.error('[CITATIONS] LLM failed, using extractive answer:', error.message);
+      fallbackReason = error.message;
+    }
+  }
+
+  const text = generated ? generated.text : extractiveAnswer(query, sources);
+  const { answer, claims, citations } = parseCitations(text, sources);
+
+  return {
+    query,
+    success: true,
+    mode: generated ? 'llm' : 'extractive',
+    ...(generated && { provider: generated.provider, model: generated.model }),
+    ...(fallbackReason && { fallbackReason }),
+    answer: answer || null,
+    citations,
+    claims,
+    unsupportedClaims: claims.filter(claim => claim.citations.length === 0).length,
+    sources: publicSources,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  answerWithCitations,
+  usesModel,
+  extractiveAnswer,
+  parseCitations,
+  buildSources,
+};
@@ -0,0 +1,321 @@
+/**
+ * HTML EXTRACTOR - Local page to Markdown conversion (Firecrawl fallback)
+ * Fetches a page through polite-fetch (public addresses only, robots.txt,
+ * per-host limits), strips boilerplate (navigation, ads, footers, cookie
+ * banners), keeps the main article and converts it to Markdown with
+ * headings, lists, code blocks, tables and links. Returns the same
+ * { content, metadata } shape as Firecrawl.
+ */
+
+const cheerio = require('cheerio');
+const { politeFetch } = require('./polite-fetch');
+
+const EXTRACT_TIMEOUT = parseInt(process.env.EXTRACT_TIMEOUT || '15000', 10);
+const EXTRACT_MAX_BYTES = parseInt(process.env.EXTRACT_MAX_BYTES || String(5 * 1024 * 1024), 10);
+
+// ============= BOILERPLATE =============
+const REMOVE_TAGS = 'script, style, noscript, template, iframe, object, embed, svg, canvas, form, button, input, select, textarea, dialog';
+const REMOVE_LANDMARKS = 'nav, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]';
+// Whole class/id tokens: "sidebar", "site-footer", "share-buttons", but not "has-sidebar" or "nav-tabs-content"
+const BOILERPLATE = /^((site|main|global|page|top|primary)[-_]?)?(nav|navbar|navigation|menu|footer|sidebar|advert|ads?|adsense|sponsor(ed)?|promo|cookie|consent|banner|social|share|sharing|related|recommended|comments?|newsletter|subscribe|popup|modal|breadcrumbs?|skip-link|outbrain|taboola)([-_]?(bar|links|buttons|posts|wrapper|container|area|section|widget|box|banner|notice))?$/i;
+const MAIN_CANDIDATES = ['article', 'main', '[role="main"]', '[itemprop="articleBody"]', '.post-content', '.entry-content', '.article-body', '.article-content', '#content', '.content'];
+
+function isBoilerplate(node) {
+  if (node.is('html, body, article, main')) return false;
+  const tokens = `${node.attr('class') || ''} ${node.attr('id') || ''}`.split(/\s+/).filter(Boolean);
+  return node.is(REMOVE_LANDMARKS) || tokens.some(token => BOILERPLATE.test(token));
+}
+
+// True when the element or one of its ancestors is navigation, a footer, an ad...
+function inBoilerplate($, el) {
+  return [el, ...$(el).parents().toArray()].some(node => isBoilerplate($(node)));
+}
+
+// Runs after the main content is chosen and only inside it, so its ancestors are never removed
+function stripBoilerplate($, main) {
+  main.find(REMOVE_LANDMARKS).remove();
+  // Page-level headers only; an article's own <header> holds its title
+  main.find('header').filter((i, el) => $(el).closest('article, main').length === 0).remove();
+  main.find('[class], [id]').each((i, el) => {
+    if (isBoilerplate($(el))) $(el).remove();
+  });
+}
+
+const textLength = node => node.text().replace(/\s+/g, ' ').trim().length;
+
+// The landmark with the most text, else the block holding the most paragraph text
+function findMainContent($) {
+  const candidates = MAIN_CANDIDATES
+    .flatMap(selector => $(selector).toArray())
+    .filter(el => !inBoilerplate($, el))
+    .map(el => ({ el, length: textLength($(el)) }))
+    .filter(candidate => candidate.length > 200)
+    .sort((a, b) => b.length - a.length);
+  if (candidates.length > 0) return $(candidates[0].el);
+
+  const scores = new Map();
+  $('p').each((i, el) => {
+    const length = textLength($(el));
+    if (length < 40 || inBoilerplate($, el)) return;
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+  });
+  const [best] = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+  return best ? $(best[0]) : $('body');
+}
+
+// ============= MARKDOWN =============
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption', 'details', 'summary', 'dl', 'dt', 'dd', 'address', 'center']);
+
+function absolute(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (error) {
+    return href;
+  }
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function createConverter($, baseUrl) {
+  const inline = (el) => $(el).contents().toArray().map(node => inlineNode(node)).join('');
+
+  function inlineNode(node) {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type !== 'tag') return '';
+    const tag = node.name;
+    const inner = () => inline(node).trim();
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'strong':
+      case 'b': {
+        const text = inner();
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = inner();
+        return text ? `*${text}*` : '';
+      }
+      case 'code':
+        return `\`${$(node).text().replace(/`/g, '\\`')}\``;
+      case 'a': {
+        const text = inner();
+        const href = $(node).attr('href');
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+        return text ? `[${text}](${absolute(href, baseUrl)})` : '';
+      }
+      case 'img': {
+        const src = $(node).attr('src') || $(node).attr('data-src');
+        if (!src || src.startsWith('data:')) return '';
+        return `![${($(node).attr('alt') || '').trim()}](${absolute(src, baseUrl)})`;
+      }
+      default:
+        return inline(node);
+    }
+  }
+
+  function list(el, depth) {
+    const ordered = el.name === 'ol';
+    const start = parseInt($(el).attr('start'), 10) || 1;
+    const indent = '   '.repeat(depth);
+
+    return $(el).children('li').toArray().map((item, index) => {
+      const marker = ordered ? `${start + index}.` : '-';
+      const nested = [];
+      const text = $(item).contents().toArray().map((node) => {
+        if (node.type === 'tag' && (node.name === 'ul' || node.name === 'ol')) {
+          nested.push(list(node, depth + 1));
+          return '';
+        }
+        if (node.type === 'tag' && (BLOCK_TAGS.has(node.name) || node.name === 'pre')) return ` ${inline(node)} `;
+        return inlineNode(node);
+      }).join('').replace(/\s+/g, ' ').trim();
+      return [`${indent}${marker} ${text}`, ...nested].join('\n');
+    }).join('\n');
+  }
+
+  function table(el) {
+    const rows = $(el).find('tr').toArray()
+      .filter(row => $(row).closest('table')[0] === el)
+      .map(row => $(row).children('th, td').toArray().map(cell => escapeCell(inline(cell))));
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => row.concat(Array(width - row.length).fill(''));
+    const [head, ...body] = rows.map(pad);
+    return [
+      `| ${head.join(' | ')} |`,
+      `| ${head.map(() => '---').join(' | ')} |`,
+      ...body.map(row => `| ${row.join(' | ')} |`),
+    ].join('\n');
+  }
+
+  function code(el) {
+    const codeEl = $(el).find('code').first();
+    const classes = `${codeEl.attr('class') || ''} ${$(el).attr('class') || ''}`;
+    const language = (classes.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+    const text = (codeEl.length > 0 ? codeEl : $(el)).text().replace(/\n+$/, '');
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  // Block-level walk: returns Markdown blocks separated by blank lines
+  function blocks(el) {
+    const out = [];
+    let paragraph = '';
+    const flush = () => {
+      const text = paragraph.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '  \n').trim();
+      if (text) out.push(text);
+      paragraph = '';
+    };
+
+    $(el).contents().toArray().forEach((node) => {
+      if (node.type !== 'tag') {
+        paragraph += inlineNode(node);
+        return;
+      }
+      const tag = node.name;
+      if (/^h[1-6]$/.test(tag)) {
+        flush();
+        const text = inline(node).replace(/\s+/g, ' ').trim();
+        if (text) out.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === 'ul' || tag === 'ol') {
+        flush();
+        const text = list(node, 0);
+        if (text.trim()) out.push(text);
+      } else if (tag === 'pre') {
+        flush();
+        out.push(code(node));
+      } else if (tag === 'table') {
+        flush();
+        const text = table(node);
+        if (text) out.push(text);
+      } else if (tag === 'blockquote') {
+        flush();
+        const text = blocks(node).join('\n\n');
+        if (text) out.push(text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      } else if (tag === 'hr') {
+        flush();
+        out.push('---');
+      } else if (BLOCK_TAGS.has(tag)) {
+        flush();
+        out.push(...blocks(node));
+      } else {
+        paragraph += inlineNode(node);
+      }
+    });
+    flush();
+    return out;
+  }
+
+  return root => blocks(root).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ============= METADATA =============
+function readMetadata($, url) {
+  const meta = name => $(`meta[name="${name}"]`).attr('content') || $(`meta[property="${name}"]`).attr('content') || undefined;
+  const metadata = {
+    title: $('title').first().text().trim() || meta('og:title'),
+    description: meta('description') || meta('og:description'),
+    language: $('html').attr('lang') || undefined,
+    keywords: meta('keywords'),
+    author: meta('author') || meta('article:author'),
+    publishedTime: meta('article:published_time') || $('time[datetime]').first().attr('datetime'),
+    ogTitle: meta('og:title'),
+    ogDescription: meta('og:description'),
+    ogImage: meta('og:image') ? absolute(meta('og:image'), url) : undefined,
+    ogSiteName: meta('og:site_name'),
+    canonical: $('link[rel="canonical"]').attr('href') ? absolute($('link[rel="canonical"]').attr('href'), url) : undefined,
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+// Every followable link in the document (navigation included), absolute and without fragments
+function readLinks($, url) {
+  const links = $('a[href]').toArray()
+    .filter(el => !/\bnofollow\b/i.test($(el).attr('rel') || ''))
+    .map(el => $(el).attr('href').trim())
+    .filter(href => href && !/^(#|javascript:|mailto:|tel:|data:)/i.test(href))
+    .map(href => absolute(href, url).split('#')[0])
+    .filter(href => /^https?:/i.test(href));
+  return Array.from(new Set(links));
+}
+
+// ============= EXTRACT =============
+/**
+ * Convert an HTML document to { content (Markdown), html (main content), links, metadata }.
+ * `url` resolves relative links and images.
+ */
+function htmlToMarkdown(html, url) {
+  const $ = cheerio.load(html);
+  const metadata = readMetadata($, url);
+  const links = readLinks($, url);
+
+  $(REMOVE_TAGS).remove();
+  const main = findMainContent($);
+  stripBoilerplate($, main);
+  const content = createConverter($, url)(main[0]);
+
+  return {
+    content,
+    html: $.html(main).trim(),
+    links,
+    metadata: { ...metadata, wordCount: content.split(/\s+/).filter(Boolean).length },
+  };
+}
+
+/**
+ * Fetch a page and extract it locally. Options: { formats (add 'html' for the
+ * main content HTML), links (true to return the page's links), timeout, signal }.
+ * Resolves to { provider: 'local', url, success, content, metadata } or
+ * { provider: 'local', url, success: false, error, blocked? } (blocked: robots.txt).
+ */
+async function extractPage(url, options = {}) {
+  try {
+    const response = await politeFetch(url, {
+      headers: { Accept: 'text/html,application/xhtml+xml,text/plain;q=0.8' },
+      responseType: 'text',
+      timeout: options.timeout || EXTRACT_TIMEOUT,
+      maxContentLength: EXTRACT_MAX_BYTES,
+      maxRedirects: 5,
+      signal: options.signal,
+    });
+
+    const finalUrl = response.finalUrl || url;
+    const type = String(response.headers['content-type'] || 'text/html').toLowerCase();
+    const base = { sourceURL: url, url: finalUrl, statusCode: response.status, contentType: type.split(';')[0] };
+
+    if (type.startsWith('text/plain')) {
+      return { provider: 'local', url, success: true, content: String(response.data).trim(), metadata: base };
+    }
+    if (!type.includes('html') && !type.includes('xml')) {
+      throw new Error(`Unsupported content type: ${base.contentType}`);
+    }
+
+    const page = htmlToMarkdown(String(response.data), finalUrl);
+    return {
+      provider: 'local',
+      url,
+      success: true,
+      content: page.content,
+      ...((options.formats || []).includes('html') && { html: page.html }),
+      ...(options.links && { links: page.links }),
+      metadata: { ...page.metadata, ...base },
+    };
+  } catch (error) {
+    console.error('[EXTRACTOR ERROR]', url, error.message);
+    return { provider: 'local', url, success: false, error: error.message, ...(error.code === 'ROBOTS_BLOCKED' && { blocked: true }) };
+  }
+}
+
+module.exports = {
+  extractPage,
+  htmlToMarkdown,
+};
@@ -6,13 +6,14 @@
 // ============= IMPORTS =============
 // In production, these would be separate endpoint files
 // For this example, they're logically organized
+const { authorize } = require('./mcp-auth');
 
 // ============= MAIN API ROUTER =============
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   res.setHeader('Content-Type', 'application/json');
   
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -22,9 +23,42 @@ module.exports = async (req, res) => {
   const path = pathname.replace(/^.api\/?/, '');
   
   try {
+    // ============= PUBLIC ROUTES =============
+    if (path === 'health') {
+      const { healthCheckHandler } = await import('./monitor.mjs');
+      return healthCheckHandler(req, res);
+    }
+    
+    // Dashboard UI for testing and monitoring
+    if (path === 'dashboard') {
+      const { dashboardHandler } = await import('./dashboard.mjs');
+      return dashboardHandler(req, res);
+    }
+    
+    // ============= AUTH MIDDLEWARE =============
+    // Identity and scopes come from the bearer token, never from the body;
+    // modules reuse the resolved req.auth
+    const auth = await authorize(req, res);
+    if (!auth) return;
+    
     // ============= ROUTES =============
+    if (path === 'mcp' || path.startsWith('mcp/')) {
+      return require('./mcp')(req, res);
+    }
+    
+    // Test external MCP servers
+    if (path.startsWith('search-test')) {
+      const SearchTest = require('./search-test');
+      if (path === 'search-test/health') {
+        return res.status(200).json(await SearchTest.healthCheck());
+      }
+      const { query, limit } = req.body || req.query;
+      return res.status(200).json(await SearchTest.testExternalMCP(query, limit));
+    }
+    
     if (path.startsWith('search')) {
-    return require('./mcp-search')(req, res);    }
+      return require('./mcp-search')(req, res);
+    }
     
     if (path.startsWith('resources')) {
       return require('./mcp-resources')(req, res);
@@ -38,10 +72,25 @@ module.exports = async (req, res) => {
       return require('./mcp-streaming')(req, res);
     }
     
+    if (path === 'chat' || path.startsWith('chat/')) {
+      return require('./mcp-chat')(req, res);
+    }
+    
+    if (path.startsWith('keys')) {
+      return require('./mcp-keys')(req, res);
+    }
+    
     if (path.startsWith('analytics')) {
       return require('./mcp-analytics')(req, res);
     }
     
+    // Search stats include recent queries, so they need the same scope as analytics
+    if (path === 'stats') {
+      if (!(await authorize(req, res, 'analytics:read'))) return;
+      const { dashboardStatsHandler } = await import('./dashboard.mjs');
+      return dashboardStatsHandler(req, res);
+    }
+    
     if (path === '' || path === '/') {
       return res.status(200).json({
         name: 'Bubble AI - MCP Server',
@@ -49,16 +98,21 @@ module.exports = async (req, res) => {
         status: 'operational',
         uptime: process.uptime(),
         endpoints: {
+          mcp: '/api/mcp - JSON-RPC 2.0 Model Context Protocol endpoint',
+          chat: '/api/chat - LLM proxy (Gemini, OpenRouter, free LLM)',
           search: '/api/search - Web search with semantic understanding',
           resources: '/api/resources - Content resource management',
           prompts: '/api/prompts - Research workflow prompts',
           streaming: '/api/streaming - Real-time result streaming',
           analytics: '/api/analytics - Performance metrics',
+          keys: '/api/keys - API key management (admin)',
         },
         searchTools: [
           'web_search - Standard web search',
           'semantic_search - Intent-aware search',
           'get_cached_results - Retrieve cached results',
+          'search_local - Full-text search over fetched results and resources',
+          'retrieve_passages - Passage retrieval by meaning (embeddings)',
           'cache_status - View cache statistics',
         ],
         capabilities: [
@@ -70,6 +124,7 @@ module.exports = async (req, res) => {
           'Research workflows',
         ],
         features: {
+          authentication: true,
           caching: true,
           streaming: true,
           rateLimit: true,
@@ -93,11 +148,14 @@ module.exports = async (req, res) => {
       error: 'Endpoint not found',
       path,
       availableEndpoints: [
+        '/api/mcp',
+        '/api/chat',
         '/api/search',
         '/api/resources',
         '/api/prompts',
         '/api/streaming',
         '/api/analytics',
+        '/api/keys',
       ],
     });
     
@@ -117,32 +175,4 @@ if (process.env.VERCEL_ENV) {
   module.exports.health = async (req, res) => {
     res.status(200).json({ status: 'healthy', uptime: process.uptime() });
   };
-
-      // ============= DASHBOARD ROUTES ==============
-  // Dashboard UI for testing and monitoring
-  if (path.startsWith('/dashboard')) {
-    const { dashboardHandler, dashboardStatsHandler } = await import('./dashboard.js');
-    if (req.path === '/dashboard') return dashboardHandler(req, res);
-    if (req.path === '/api/stats') return dashboardStatsHandler(req, res);
-  }
-  
-  // Root path defaults to dashboard
-  if (path === '' || path === '/') {
-    const { dashboardHandler } = await import('./dashboard.js');
-    return dashboardHandler(req, res);
-  }
-  
-  // ============= SEARCH TEST ROUTES ==============
-  // Test external MCP servers
-  if (path.startsWith('/search-test')) {
-    const { testExternalMCP, healthCheck } = await import('./search-test.js');
-    if (req.method === 'POST' && path === '') return testExternalMCP(req, res);
-    if (path === '/health') return healthCheck(req, res);
-  }
-  
-  // ============= HEALTH CHECK ROUTES ==============
-  if (path === '/health' || path === '/api/health') {
-    const { healthCheckHandler } = await import('./monitor.js');
-    return healthCheckHandler(req, res);
-  }
 }
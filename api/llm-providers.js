@@ -0,0 +1,438 @@
+/**
+ * LLM PROVIDERS - Gemini, OpenRouter and free LLM adapters
+ * Keys stay on the server. Every provider takes OpenAI-style messages and
+ * returns one normalized completion, either at once or streamed token by
+ * token, falling back along LLM_FALLBACK_CHAIN when a provider fails.
+ */
+
+const axios = require('axios');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
+const FREE_LLM_ENDPOINT = process.env.FREE_LLM_ENDPOINT || '';
+const LLM_TIMEOUT = parseInt(process.env.LLM_TIMEOUT || '30000', 10);
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const FALLBACK_CHAIN = splitList(process.env.LLM_FALLBACK_CHAIN || 'gemini,openrouter,free');
+const EMPTY_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+// ============= ERRORS =============
+class LLMProviderError extends Error {
+  constructor(provider, message, status = null) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status; // upstream HTTP status, when there was one
+  }
+}
+
+function providerError(provider, error) {
+  const status = error.response?.status || null;
+  const detail = error.response?.data?.error?.message
+    || error.response?.data?.error
+    || error.message;
+  return new LLMProviderError(provider, `${provider}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, status);
+}
+
+// ============= MESSAGE HELPERS =============
+// Content may be a string or OpenAI-style [{ type: 'text', text }] parts
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+  return '';
+}
+
+function normalizeMessages(messages) {
+  return messages.map(message => ({ role: message.role, content: textOf(message.content) }));
+}
+
+// ============= SSE PARSING =============
+// Calls onData with the data payload of each event in a text/event-stream body
+function readEventStream(stream, onData) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    const dispatch = (event) => {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data) onData(data);
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      try {
+        events.forEach(dispatch);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        if (buffer.trim()) dispatch(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+// ============= GEMINI =============
+function geminiRequest(messages, { temperature, maxTokens }) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+  return {
+    contents,
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    generationConfig: {
+      ...(temperature !== undefined && { temperature }),
+      maxOutputTokens: maxTokens,
+    },
+  };
+}
+
+function geminiUsage(usage = {}) {
+  return {
+    prompt_tokens: usage.promptTokenCount || 0,
+    completion_tokens: usage.candidatesTokenCount || 0,
+    total_tokens: usage.totalTokenCount || 0,
+  };
+}
+
+const geminiText = candidate => (candidate?.content?.parts || []).map(part => part.text || '').join('');
+
+async function geminiComplete(messages, { model, temperature, maxTokens, signal }) {
+  try {
+    const response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+      geminiRequest(messages, { temperature, maxTokens }),
+      {
+        headers: { 'x-goog-api-key': GEMINI_API_KEY },
+        timeout: LLM_TIMEOUT,
+        signal,
+      }
+    );
+
+    const candidate = response.data.candidates?.[0];
+    if (!candidate) {
+      const reason = response.data.promptFeedback?.blockReason || 'no candidates returned';
+      throw new LLMProviderError('gemini', `gemini: ${reason}`);
+    }
+
+    return {
+      content: geminiText(candidate),
+      finishReason: (candidate.finishReason || 'stop').toLowerCase(),
+      usage: geminiUsage(response.data.usageMetadata),
+    };
+  } catch (error) {
+    if (error instanceof LLMProviderError) throw error;
+    throw providerError('gemini', error);
+  }
+}
+
+async function geminiStream(messages, { model, temperature, maxTokens, signal }, onToken) {
+  try {
+    const response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+      geminiRequest(messages, { temperature, maxTokens }),
+      {
+        headers: { 'x-goog-api-key': GEMINI_API_KEY },
+        timeout: LLM_TIMEOUT,
+        responseType: 'stream',
+        signal,
+      }
+    );
+
+    const result = { content: '', finishReason: 'stop', usage: EMPTY_USAGE };
+    await readEventStream(response.data, (data) => {
+      const chunk = JSON.parse(data);
+      const candidate = chunk.candidates?.[0];
+      const text = geminiText(candidate);
+      if (text) {
+        result.content += text;
+        onToken(text);
+      }
+      if (candidate?.finishReason) result.finishReason = candidate.finishReason.toLowerCase();
+      if (chunk.usageMetadata) result.usage = geminiUsage(chunk.usageMetadata);
+    });
+    return result;
+  } catch (error) {
+    if (error instanceof LLMProviderError) throw error;
+    throw providerError('gemini', error);
+  }
+}
+
+// ============= OPENROUTER =============
+function openrouterRequest(messages, { model, temperature, maxTokens }) {
+  return {
+    model,
+    messages,
+    ...(temperature !== undefined && { temperature }),
+    max_tokens: maxTokens,
+  };
+}
+
+const openrouterHeaders = () => ({
+  'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+  'X-Title': 'Bubble AI',
+});
+
+async function openrouterComplete(messages, options) {
+  try {
+    const response = await axios.post(
+      'https://openrouter.ai/api/v1/chat/completions',
+      openrouterRequest(messages, options),
+      {
+        headers: openrouterHeaders(),
+        timeout: LLM_TIMEOUT,
+        signal: options.signal,
+      }
+    );
+
+    const choice = response.data.choices?.[0];
+    if (!choice) throw new LLMProviderError('openrouter', 'openrouter: no choices returned');
+
+    return {
+      content: choice.message?.content || '',
+      finishReason: choice.finish_reason || 'stop',
+      usage: response.data.usage || EMPTY_USAGE,
+    };
+  } catch (error) {
+    if (error instanceof LLMProviderError) throw error;
+    throw providerError('openrouter', error);
+  }
+}
+
+async function openrouterStream(messages, options, onToken) {
+  try {
+    const response = await axios.post(
+      'https://openrouter.ai/api/v1/chat/completions',
+      { ...openrouterRequest(messages, options), stream: true },
+      {
+        headers: openrouterHeaders(),
+        timeout: LLM_TIMEOUT,
+        responseType: 'stream',
+        signal: options.signal,
+      }
+    );
+
+    const result = { content: '', finishReason: 'stop', usage: EMPTY_USAGE };
+    await readEventStream(response.data, (data) => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new LLMProviderError('openrouter', `openrouter: ${chunk.error.message || JSON.stringify(chunk.error)}`, chunk.error.code || null);
+      }
+      const choice = chunk.choices?.[0];
+      const text = choice?.delta?.content || '';
+      if (text) {
+        result.content += text;
+        onToken(text);
+      }
+      if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+      if (chunk.usage) result.usage = chunk.usage;
+    });
+    return result;
+  } catch (error) {
+    if (error instanceof LLMProviderError) throw error;
+    throw providerError('openrouter', error);
+  }
+}
+
+// ============= FREE LLM =============
+// Single-prompt endpoint: the conversation is flattened into one transcript
+async function freeComplete(messages, { signal } = {}) {
+  const prompt = messages
+    .map(m => (m.role === 'user' ? m.content : `${m.role === 'system' ? 'System' : 'Assistant'}: ${m.content}`))
+    .join('\n\n');
+
+  try {
+    const response = await axios.post(FREE_LLM_ENDPOINT, { message: prompt }, { timeout: LLM_TIMEOUT, signal });
+    const data = response.data || {};
+    if (data.status && data.status !== 'success') {
+      throw new LLMProviderError('free', `free: ${data.error || data.status}`);
+    }
+
+    const content = data.response || data.reply || data.message || data.content || '';
+    return {
+      content: typeof content === 'string' ? content : JSON.stringify(content),
+      finishReason: 'stop',
+      usage: EMPTY_USAGE,
+    };
+  } catch (error) {
+    if (error instanceof LLMProviderError) throw error;
+    throw providerError('free', error);
+  }
+}
+
+// No streaming upstream: the whole answer arrives as one token
+async function freeStream(messages, options, onToken) {
+  const result = await freeComplete(messages, options);
+  if (result.content) onToken(result.content);
+  return result;
+}
+
+// ============= REGISTRY =============
+// `models` is the allowlist callers may pick from; the first is the default
+const LLM_PROVIDERS = {
+  gemini: {
+    configured: () => Boolean(GEMINI_API_KEY),
+    models: splitList(process.env.GEMINI_MODELS || process.env.GEMINI_MODEL || 'gemini-1.5-flash'),
+    complete: geminiComplete,
+    stream: geminiStream,
+  },
+  openrouter: {
+    configured: () => Boolean(OPENROUTER_API_KEY),
+    models: splitList(process.env.OPENROUTER_MODELS || process.env.OPENROUTER_MODEL || 'meta-llama/llama-3.1-8b-instruct:free'),
+    complete: openrouterComplete,
+    stream: openrouterStream,
+  },
+  free: {
+    configured: () => Boolean(FREE_LLM_ENDPOINT),
+    models: ['free'],
+    complete: freeComplete,
+    stream: freeStream,
+  },
+};
+
+// Configured providers, in fallback order
+function availableProviders() {
+  const ordered = [...FALLBACK_CHAIN, ...Object.keys(LLM_PROVIDERS)];
+  return Array.from(new Set(ordered)).filter(name => LLM_PROVIDERS[name]?.configured());
+}
+
+function defaultProvider() {
+  const preferred = process.env.LLM_DEFAULT_PROVIDER;
+  if (preferred && LLM_PROVIDERS[preferred]?.configured()) return preferred;
+  return availableProviders()[0] || null;
+}
+
+/**
+ * Resolve which provider and model a request should use. Throws a plain
+ * Error (a client mistake, not a provider failure) for unknown choices.
+ */
+function resolveTarget(provider, model) {
+  const name = provider || defaultProvider();
+  if (!name) throw new Error('No LLM provider is configured on this server');
+
+  const entry = LLM_PROVIDERS[name];
+  if (!entry) throw new Error(`Unknown provider: ${name}`);
+  if (!entry.configured()) throw new Error(`Provider not configured: ${name}`);
+
+  const chosen = model || entry.models[0];
+  if (!entry.models.includes(chosen)) {
+    throw new Error(`Model not allowed for ${name}: ${chosen} (allowed: ${entry.models.join(', ')})`);
+  }
+  return { provider: name, model: chosen };
+}
+
+// ============= FALLBACK CHAIN =============
+// The requested (or default) provider first, then the rest of the chain
+function fallbackTargets(provider, model) {
+  const first = resolveTarget(provider, model);
+  const rest = FALLBACK_CHAIN
+    .filter(name => name !== first.provider && LLM_PROVIDERS[name]?.configured())
+    .map(name => ({ provider: name, model: LLM_PROVIDERS[name].models[0] }));
+  return [first, ...rest];
+}
+
+/**
+ * Run `call(target)` against each provider in turn until one answers.
+ * Failed attempts are returned (or attached to the final error) as
+ * `attempts`. A stream that already sent tokens is never retried elsewhere,
+ * and nothing is retried once the caller has aborted.
+ */
+async function runWithFallback(options, call) {
+  const targets = options.fallback === false
+    ? [resolveTarget(options.provider, options.model)]
+    : fallbackTargets(options.provider, options.model);
+  const attempts = [];
+
+  for (const [index, target] of targets.entries()) {
+    try {
+      const result = await call(target);
+      return { ...target, ...result, attempts };
+    } catch (error) {
+      if (!(error instanceof LLMProviderError) || options.signal?.aborted) throw error;
+      attempts.push({ provider: target.provider, model: target.model, error: error.message, status: error.status });
+
+      const next = targets[index + 1];
+      if (!next || error.partial) {
+        error.attempts = attempts;
+        throw error;
+      }
+      console.warn(`[LLM] ${target.provider} failed, falling back to ${next.provider}: ${error.message}`);
+      if (options.onFallback) options.onFallback({ from: target.provider, to: next.provider, error: error.message });
+    }
+  }
+}
+
+// ============= COMPLETE =============
+/**
+ * One completion. Resolves to { provider, model, content, finishReason,
+ * usage, attempts } where `provider` is the one that answered.
+ */
+async function complete(messages, options = {}) {
+  const normalized = normalizeMessages(messages);
+  return runWithFallback(options, target => LLM_PROVIDERS[target.provider].complete(normalized, {
+    model: target.model,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    signal: options.signal,
+  }));
+}
+
+/**
+ * Streamed completion: `onToken(text, target)` is called for every piece of
+ * text as it arrives. Resolves like `complete` once the stream ends.
+ */
+async function stream(messages, options = {}, onToken) {
+  const normalized = normalizeMessages(messages);
+  return runWithFallback(options, async (target) => {
+    let emitted = false;
+    try {
+      return await LLM_PROVIDERS[target.provider].stream(normalized, {
+        model: target.model,
+        temperature: options.temperature,
+        maxTokens: options.maxTokens,
+        signal: options.signal,
+      }, (text) => {
+        emitted = true;
+        onToken(text, target);
+      });
+    } catch (error) {
+      if (error instanceof LLMProviderError) error.partial = emitted;
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  complete,
+  stream,
+  resolveTarget,
+  availableProviders,
+  defaultProvider,
+  textOf,
+  readEventStream,
+  LLM_PROVIDERS,
+  FALLBACK_CHAIN,
+  LLMProviderError,
+};
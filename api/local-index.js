@@ -0,0 +1,287 @@
+/**
+ * LOCAL INDEX - BM25 full-text search over what we already fetched
+ * An inverted index in shared storage over search result titles and
+ * snippets (indexed as providers return them) and stored resources
+ * (crawled pages, extracted content). search_local answers from it
+ * without any upstream call.
+ */
+
+const { createStore } = require('./storage');
+const { tokenize } = require('./text-tokenizer');
+const { canonicalUrl } = require('./url-utils');
+
+const MAX_DOCUMENTS = parseInt(process.env.LOCAL_INDEX_MAX_DOCS || '5000', 10);
+const EXCERPT_CHARS = 2000;
+const TITLE_BOOST = 2;
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// doc:<id> -> document, term:<term> -> { [docId]: [tf, length] }, stats -> { documents, totalLength }
+const index = createStore('local-index');
+
+// Writes are chained so concurrent indexing in one instance never interleaves.
+// Failures are logged and resolve to null, so callers may fire and forget.
+let writes = Promise.resolve();
+function enqueue(fn) {
+  writes = writes.then(fn).catch((error) => {
+    console.error('[LOCAL-INDEX] Indexing failed:', error.message);
+    return null;
+  });
+  return writes;
+}
+
+// ============= DOCUMENTS =============
+// Title terms count TITLE_BOOST times; returns { terms: { term: tf }, length }
+function analyze(title, text) {
+  const terms = {};
+  let length = 0;
+  const add = (term, weight) => {
+    terms[term] = (terms[term] || 0) + weight;
+    length += weight;
+  };
+  tokenize(title).forEach(term => add(term, TITLE_BOOST));
+  tokenize(text).forEach(term => add(term, 1));
+  return { terms, length };
+}
+
+// Postings lists for `terms` in one read: { term: { [docId]: [tf, length] } }
+async function readPostings(terms) {
+  const values = await index.getMany(terms.map(term => `term:${term}`));
+  return Object.fromEntries(terms.map((term, i) => [term, values[i] || {}]));
+}
+
+// Stored metadata minus `queries`: indexes written before queries stopped being kept may still hold them
+function storedMeta(meta = {}) {
+  const { queries, ...rest } = meta;
+  return rest;
+}
+
+/**
+ * Remove documents and their postings with one batched write per kind
+ * (postings and stats, then emptied terms and documents).
+ */
+async function removeDocuments(docs) {
+  if (docs.length === 0) return;
+  const postings = await readPostings(Array.from(new Set(docs.flatMap(doc => Object.keys(doc.terms)))));
+  docs.forEach(doc => Object.keys(doc.terms).forEach(term => delete postings[term][doc.id]));
+
+  const stats = (await index.get('stats')) || { documents: 0, totalLength: 0 };
+  const removedLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+  const emptied = Object.keys(postings).filter(term => Object.keys(postings[term]).length === 0);
+  await index.setMany([
+    ...Object.entries(postings).filter(([term]) => !emptied.includes(term)).map(([term, list]) => [`term:${term}`, list]),
+    ['stats', {
+      documents: Math.max(stats.documents - docs.length, 0),
+      totalLength: Math.max(stats.totalLength - removedLength, 0),
+    }],
+  ]);
+  await index.deleteMany([...emptied.map(term => `term:${term}`), ...docs.map(doc => `doc:${doc.id}`)]);
+}
+
+// The document, its postings and the stats go out in one write, so the file
+// backend rewrites its file once per document instead of once per term
+async function writeDocument({ id, type, title = '', text = '', url = null, meta = {} }) {
+  const existing = await index.get(`doc:${id}`);
+  const { terms, length } = analyze(title, text);
+  if (length === 0) {
+    if (existing) await removeDocuments([existing]);
+    return null;
+  }
+
+  const affected = Array.from(new Set([...Object.keys(existing?.terms || {}), ...Object.keys(terms)]));
+  const postings = await readPostings(affected);
+  if (existing) Object.keys(existing.terms).forEach(term => delete postings[term][id]);
+  Object.entries(terms).forEach(([term, tf]) => { postings[term][id] = [tf, length]; });
+
+  const doc = {
+    id,
+    type,
+    title: String(title).trim(),
+    url,
+    excerpt: String(text).slice(0, EXCERPT_CHARS),
+    terms,
+    length,
+    // Metadata from an earlier indexing (e.g. the provider that found it) is kept
+    meta: { ...storedMeta(existing?.meta), ...meta },
+    indexedAt: Date.now(),
+  };
+  const stats = (await index.get('stats')) || { documents: 0, totalLength: 0 };
+  const next = {
+    documents: stats.documents + (existing ? 0 : 1),
+    totalLength: Math.max(stats.totalLength - (existing?.length || 0), 0) + length,
+  };
+  const emptied = affected.filter(term => Object.keys(postings[term]).length === 0);
+
+  await index.setMany([
+    [`doc:${id}`, doc],
+    ...affected.filter(term => !emptied.includes(term)).map(term => [`term:${term}`, postings[term]]),
+    ['stats', next],
+  ]);
+  if (emptied.length > 0) await index.deleteMany(emptied.map(term => `term:${term}`));
+
+  if (next.documents > MAX_DOCUMENTS) await evictOldest();
+  return doc;
+}
+
+// Drop the oldest tenth once the index is full
+async function evictOldest() {
+  const docs = (await index.entries('doc:')).map(([, doc]) => doc).sort((a, b) => a.indexedAt - b.indexedAt);
+  const excess = docs.length - MAX_DOCUMENTS + Math.ceil(MAX_DOCUMENTS / 10);
+  await removeDocuments(docs.slice(0, Math.max(excess, 0)));
+}
+
+/**
+ * Add or replace one document.
+ * @param {object} doc - { id, type ('result' | 'resource'), title, text, url, meta }
+ */
+function indexDocument(doc) {
+  return enqueue(() => writeDocument(doc));
+}
+
+function removeDocument(id) {
+  return enqueue(async () => {
+    const existing = await index.get(`doc:${id}`);
+    if (!existing) return false;
+    await removeDocuments([existing]);
+    return true;
+  });
+}
+
+/**
+ * Index normalized search results (title + snippet), one document per
+ * canonical URL, so the same page found by many queries is stored once.
+ */
+function indexSearchResults(response) {
+  const results = (response?.results || []).filter(result => result.url);
+  return enqueue(async () => {
+    for (const result of results) {
+      await writeDocument({
+        id: canonicalUrl(result.url),
+        type: 'result',
+        title: result.title,
+        text: result.content,
+        url: result.url,
+        meta: {
+          provider: result.provider || response.provider,
+          domain: result.domain || null,
+          publishedAt: result.publishedAt || null,
+        },
+      });
+    }
+    return results.length;
+  });
+}
+
+function indexResource(uri, content, metadata = {}) {
+  if (typeof content !== 'string') return Promise.resolve(null);
+  return indexDocument({
+    id: uri,
+    type: 'resource',
+    title: metadata.title || uri,
+    text: content,
+    url: metadata.url || null,
+    meta: { uri, mimeType: metadata.mimeType || null },
+  });
+}
+
+// ============= SEARCH =============
+// Best-matching window of the document text, for display
+function snippetFor(doc, queryTerms, size = 240) {
+  const sentences = doc.excerpt.split(/(?<=[.!?])\s+|\n+/).filter(Boolean);
+  if (sentences.length === 0) return '';
+  const scored = sentences.map((sentence) => {
+    const terms = new Set(tokenize(sentence));
+    return { sentence, hits: queryTerms.filter(term => terms.has(term)).length };
+  });
+  const best = scored.reduce((top, entry) => (entry.hits > top.hits ? entry : top), scored[0]);
+  const text = best.sentence.replace(/\s+/g, ' ').trim();
+  return text.length > size ? `${text.slice(0, size - 1)}…` : text;
+}
+
+/**
+ * BM25 over the local index.
+ * score = Σ idf(t) * tf * (k1 + 1) / (tf + k1 * (1 - b + b * len / avgLen))
+ * idf(t) = ln(1 + (N - df + 0.5) / (df + 0.5))
+ * @param {string} query
+ * @param {object} options - { limit, type ('result' | 'resource'), domain }
+ */
+async function searchLocal(query, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 50);
+  const started = Date.now();
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  const stats = (await index.get('stats')) || { documents: 0, totalLength: 0 };
+  const empty = { query, terms: queryTerms, results: [], total: 0, indexed: stats.documents };
+
+  if (queryTerms.length === 0 || stats.documents === 0) return { ...empty, duration: Date.now() - started };
+
+  const N = stats.documents;
+  const avgLength = stats.totalLength / N || 1;
+  const scores = new Map();
+
+  for (const term of queryTerms) {
+    const postings = (await index.get(`term:${term}`)) || {};
+    const entries = Object.entries(postings);
+    if (entries.length === 0) continue;
+    const idf = Math.log(1 + (N - entries.length + 0.5) / (entries.length + 0.5));
+
+    for (const [id, [tf, length]] of entries) {
+      const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / avgLength)));
+      const entry = scores.get(id) || { score: 0, matched: [] };
+      entry.score += score;
+      entry.matched.push(term);
+      scores.set(id, entry);
+    }
+  }
+
+  // Filters need the document, so walk the ranking until `limit` documents pass
+  const ranked = Array.from(scores.entries()).sort((a, b) => b[1].score - a[1].score);
+  const results = [];
+  for (const [id, { score, matched }] of ranked) {
+    if (results.length >= limit) break;
+    const doc = await index.get(`doc:${id}`);
+    if (!doc) continue;
+    if (options.type && doc.type !== options.type) continue;
+    if (options.domain && doc.meta.domain !== String(options.domain).replace(/^www\./, '')) continue;
+
+    results.push({
+      id,
+      type: doc.type,
+      title: doc.title,
+      url: doc.url,
+      snippet: snippetFor(doc, queryTerms),
+      score: Number(score.toFixed(4)),
+      matchedTerms: matched,
+      ...storedMeta(doc.meta),
+      indexedAt: new Date(doc.indexedAt).toISOString(),
+    });
+  }
+
+  return {
+    query,
+    terms: queryTerms,
+    results,
+    total: ranked.length,
+    indexed: N,
+    duration: Date.now() - started,
+  };
+}
+
+async function getIndexStats() {
+  const stats = (await index.get('stats')) || { documents: 0, totalLength: 0 };
+  return {
+    documents: stats.documents,
+    terms: (await index.keys('term:')).length,
+    averageLength: stats.documents ? Math.round(stats.totalLength / stats.documents) : 0,
+    maxDocuments: MAX_DOCUMENTS,
+  };
+}
+
+module.exports = {
+  indexDocument,
+  indexSearchResults,
+  indexResource,
+  removeDocument,
+  searchLocal,
+  getIndexStats,
+};
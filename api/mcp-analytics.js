@@ -3,119 +3,145 @@
  * Track usage patterns, performance, and health metrics
  */
 
-const analytics = {
-  queries: { total: 0, cached: 0, live: 0, failed: 0 },
-  searches: { total: 0, avgTime: 0, maxTime: 0 },
-  users: { unique: new Set(), active: 0 },
-  cache: { hits: 0, misses: 0, hitRate: 0 },
-  rateLimit: { exceeded: 0, warned: 0 },
-  uptime: { start: Date.now(), lastError: null },
-  hourly: {},
-};
+const { authorize } = require('./mcp-auth');
+
+const { createStore } = require('./storage');
+
+// Counters live in shared storage so every instance reports the same numbers
+const analytics = createStore('analytics');
+const HOURLY_TTL = 86400000 * 2; // keep two days of hourly buckets
+const startedAt = Date.now();
 
 // ============= RECORD QUERY =============
-function recordQuery(query, source, duration, success = true) {
+async function recordQuery(query, source, duration, success = true) {
   const hour = new Date().toISOString().substring(0, 13);
   
-  analytics.queries.total++;
+  await analytics.incr('queries:total');
   
-  if (source === 'cache') analytics.queries.cached++;
-  else if (source === 'live') analytics.queries.live++;
-  else if (!success) analytics.queries.failed++;
+  if (source === 'cache') await analytics.incr('queries:cached');
+  else if (source === 'live') await analytics.incr('queries:live');
+  else if (!success) await analytics.incr('queries:failed');
   
   // Update hourly stats
-  if (!analytics.hourly[hour]) {
-    analytics.hourly[hour] = { queries: 0, avgTime: 0, cacheHits: 0 };
-  }
-  analytics.hourly[hour].queries++;
+  await analytics.incr(`hourly:${hour}:queries`, 1, HOURLY_TTL);
+  await analytics.incr(`hourly:${hour}:totalTime`, duration, HOURLY_TTL);
+  if (source === 'cache') await analytics.incr(`hourly:${hour}:cacheHits`, 1, HOURLY_TTL);
   
   // Update search metrics
-  analytics.searches.total++;
-  analytics.searches.avgTime = (analytics.searches.avgTime * (analytics.searches.total - 1) + duration) / analytics.searches.total;
-  if (duration > analytics.searches.maxTime) analytics.searches.maxTime = duration;
+  await analytics.incr('searches:total');
+  await analytics.incr('searches:totalTime', duration);
+  const maxTime = (await analytics.get('searches:maxTime')) || 0;
+  if (duration > maxTime) await analytics.set('searches:maxTime', duration);
 }
 
 // ============= RECORD USER =============
-function recordUser(clientId) {
-  analytics.users.unique.add(clientId);
-  analytics.users.active++;
+async function recordUser(clientId) {
+  await analytics.set(`users:${clientId}`, Date.now());
+  await analytics.incr('activeUsers');
 }
 
 // ============= RECORD CACHE HIT =============
-function recordCacheHit(hit = true) {
-  if (hit) {
-    analytics.cache.hits++;
-  } else {
-    analytics.cache.misses++;
-  }
-  analytics.cache.hitRate = analytics.cache.hits / (analytics.cache.hits + analytics.cache.misses);
+async function recordCacheHit(hit = true) {
+  await analytics.incr(hit ? 'cache:hits' : 'cache:misses');
 }
 
 // ============= RECORD RATE LIMIT =============
-function recordRateLimit(exceeded = false, warned = false) {
-  if (exceeded) analytics.rateLimit.exceeded++;
-  if (warned) analytics.rateLimit.warned++;
+async function recordRateLimit(exceeded = false, warned = false) {
+  if (exceeded) await analytics.incr('rateLimit:exceeded');
+  if (warned) await analytics.incr('rateLimit:warned');
 }
 
 // ============= RECORD ERROR =============
-function recordError(error, context = {}) {
-  analytics.uptime.lastError = {
+async function recordError(error, context = {}) {
+  await analytics.set('uptime:lastError', {
     message: error.message,
     stack: error.stack,
     timestamp: Date.now(),
     context,
-  };
+  });
 }
 
 // ============= GET SUMMARY =============
-function getSummary() {
-  const uptime = Date.now() - analytics.uptime.start;
+async function getSummary() {
+  const counter = async key => Number((await analytics.get(key)) || 0);
+  const start = (await analytics.get('uptime:start')) || startedAt;
+  const uptime = Date.now() - start;
   const hours = Math.floor(uptime / 3600000);
   const minutes = Math.floor((uptime % 3600000) / 60000);
   
+  const queries = {
+    total: await counter('queries:total'),
+    cached: await counter('queries:cached'),
+    live: await counter('queries:live'),
+    failed: await counter('queries:failed'),
+  };
+  const searchTotal = await counter('searches:total');
+  const avgTime = searchTotal > 0 ? (await counter('searches:totalTime')) / searchTotal : 0;
+  const hits = await counter('cache:hits');
+  const misses = await counter('cache:misses');
+  const hitRate = hits + misses > 0 ? hits / (hits + misses) : 0;
+  
   return {
     uptime: `${hours}h ${minutes}m`,
-    queries: analytics.queries,
+    queries,
     searches: {
-      ...analytics.searches,
-      avgTime: Math.round(analytics.searches.avgTime) + 'ms',
-      maxTime: analytics.searches.maxTime + 'ms',
+      total: searchTotal,
+      avgTime: Math.round(avgTime) + 'ms',
+      maxTime: (await counter('searches:maxTime')) + 'ms',
     },
     cache: {
-      ...analytics.cache,
-      hitRate: (analytics.cache.hitRate * 100).toFixed(1) + '%',
+      hits,
+      misses,
+      hitRate: (hitRate * 100).toFixed(1) + '%',
     },
     users: {
-      unique: analytics.users.unique.size,
-      active: analytics.users.active,
+      unique: (await analytics.keys('users:')).length,
+      active: await counter('activeUsers'),
+    },
+    rateLimit: {
+      exceeded: await counter('rateLimit:exceeded'),
+      warned: await counter('rateLimit:warned'),
     },
-    rateLimit: analytics.rateLimit,
-    lastError: analytics.uptime.lastError,
+    lastError: await analytics.get('uptime:lastError'),
     performance: {
-      queriesPerHour: Math.round(analytics.queries.total / (hours || 1)),
-      avgQueryTime: Math.round(analytics.searches.avgTime),
+      queriesPerHour: Math.round(queries.total / (hours || 1)),
+      avgQueryTime: Math.round(avgTime),
     },
   };
 }
 
 // ============= GET HOURLY BREAKDOWN =============
-function getHourlyStats() {
-  return Object.entries(analytics.hourly)
+async function getHourlyStats() {
+  const hourly = {};
+  for (const [key, value] of await analytics.entries('hourly:')) {
+    const [, hour, field] = key.split(':');
+    hourly[hour] = hourly[hour] || { queries: 0, totalTime: 0, cacheHits: 0 };
+    hourly[hour][field] = Number(value);
+  }
+  
+  return Object.entries(hourly)
     .sort()
     .slice(-24)
     .map(([hour, stats]) => ({
       hour,
-      ...stats,
+      queries: stats.queries,
+      avgTime: stats.queries > 0 ? Math.round(stats.totalTime / stats.queries) : 0,
+      cacheHits: stats.cacheHits,
       hitRate: stats.cacheHits > 0 ? ((stats.cacheHits / stats.queries) * 100).toFixed(1) + '%' : '0%',
     }));
 }
 
 // ============= RESET ANALYTICS =============
-function reset() {
-  analytics.users.active = 0;
-  analytics.uptime.lastError = null;
+async function reset() {
+  await analytics.delete('activeUsers');
+  await analytics.delete('uptime:lastError');
 }
 
+// Record the first start across instances
+analytics.get('uptime:start')
+  .then(start => (start ? null : analytics.set('uptime:start', startedAt)))
+  .catch(error => console.error('[ANALYTICS] Storage unavailable:', error.message));
+
 // ============= API HANDLER =============
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -123,22 +149,25 @@ module.exports = async (req, res) => {
   
   const { action } = req.query || req.body;
   
+  const auth = await authorize(req, res, action === 'reset' ? 'admin' : 'analytics:read');
+  if (!auth) return;
+  
   try {
     let result;
     
     switch (action) {
       case 'summary':
-        result = getSummary();
+        result = await getSummary();
         break;
       case 'hourly':
-        result = getHourlyStats();
+        result = await getHourlyStats();
         break;
       case 'reset':
-        reset();
+        await reset();
         result = { success: true, message: 'Analytics reset' };
         break;
       default:
-        result = getSummary();
+        result = await getSummary();
     }
     
     return res.status(200).json({ success: true, result });
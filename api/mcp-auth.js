@@ -0,0 +1,222 @@
+/**
+ * MCP AUTH - Bearer token / API key authentication & scope checks
+ * Derives client identity and scopes from a verified JWT or issued API key
+ * instead of trusting the clientId sent in the request body.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || '';
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+// ============= SCOPES =============
+const SCOPES = {
+  'search': 'Run search tools',
+  'scrape': 'Extract page content (scrape_url, deep research)',
+  'resources:read': 'List and read resources',
+  'resources:write': 'Add resources',
+  'prompts:read': 'List, get and render prompts',
+  'prompts:write': 'Create, edit, roll back and delete custom prompts',
+  'analytics:read': 'View analytics and stream metrics',
+  'chat': 'Call the LLM proxy (/api/chat)',
+  'admin': 'Administrative actions (analytics reset, key management); implies all scopes',
+};
+
+const ANONYMOUS_SCOPES = (process.env.ANONYMOUS_SCOPES || 'search,scrape,resources:read,prompts:read,analytics:read')
+  .split(',')
+  .map(scope => scope.trim())
+  .filter(Boolean);
+// Proxies in front of us that append to X-Forwarded-For (Vercel: 1); 0 ignores the header
+const TRUSTED_PROXY_HOPS = Math.max(parseInt(process.env.TRUSTED_PROXY_HOPS || '0', 10) || 0, 0);
+
+// ============= HELPERS =============
+function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function getApiKey(req) {
+  const header = req.headers?.['x-api-key'];
+  return header ? String(header).trim() : null;
+}
+
+// Entries left of the ones our own proxies appended are whatever the client sent,
+// so the address is read TRUSTED_PROXY_HOPS entries from the right
+function clientAddress(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (TRUSTED_PROXY_HOPS > 0 && forwarded) {
+    const hops = String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (hops.length >= TRUSTED_PROXY_HOPS) return hops[hops.length - TRUSTED_PROXY_HOPS];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+function parseScopes(payload) {
+  if (Array.isArray(payload.scopes)) return payload.scopes.map(String);
+  if (typeof payload.scope === 'string') return payload.scope.split(/\s+/).filter(Boolean);
+  return [];
+}
+
+// 'admin' (or '*') grants every scope
+function hasScope(auth, scope) {
+  if (!scope) return true;
+  const scopes = auth?.scopes || [];
+  return scopes.includes('*') || scopes.includes('admin') || scopes.includes(scope);
+}
+
+// ============= AUTHENTICATE =============
+/**
+ * Resolve the caller's identity. Returns { auth } on success or
+ * { status, error, message } describing why the request is rejected.
+ */
+async function authenticate(req) {
+  const token = getApiKey(req) || getBearerToken(req);
+
+  // Loaded lazily: mcp-keys depends on this module for its admin handler
+  const keys = require('./mcp-keys');
+  if (keys.isApiKey(token)) {
+    const record = await keys.verifyKey(token);
+    if (!record) {
+      return { status: 401, error: 'invalid_token', message: 'Invalid or revoked API key' };
+    }
+    return {
+      auth: {
+        clientId: `key:${record.id}`,
+        scopes: record.scopes,
+        method: 'api_key',
+        keyId: record.id,
+      },
+    };
+  }
+
+  if (!token) {
+    if (AUTH_REQUIRED) {
+      return { status: 401, error: 'unauthorized', message: 'Bearer token required' };
+    }
+    return {
+      auth: {
+        clientId: `anonymous:${clientAddress(req)}`,
+        scopes: ANONYMOUS_SCOPES,
+        method: 'anonymous',
+      },
+    };
+  }
+
+  if (!JWT_SECRET) {
+    return { status: 401, error: 'invalid_token', message: 'Token authentication is not configured on this server' };
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    const clientId = payload.sub || payload.clientId;
+    if (!clientId) {
+      return { status: 401, error: 'invalid_token', message: 'Token has no subject' };
+    }
+
+    return {
+      auth: {
+        clientId: String(clientId),
+        scopes: parseScopes(payload),
+        method: 'jwt',
+        expiresAt: payload.exp ? payload.exp * 1000 : null,
+      },
+    };
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return { status: 401, error: 'invalid_token', message };
+  }
+}
+
+// ============= ERROR RESPONSE =============
+function sendAuthError(res, status, error, message, extra = {}) {
+  if (status === 401) {
+    res.setHeader('WWW-Authenticate', `Bearer realm="bubble-ai", error="${error}"`);
+  }
+  if (status === 429 && extra.resetAt) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((extra.resetAt - Date.now()) / 1000)));
+  }
+  return res.status(status).json({
+    success: false,
+    error,
+    message,
+    ...extra,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function sendAccessDenied(res, denied) {
+  const { status, error, message, ...extra } = denied;
+  return sendAuthError(res, status, error, message, extra);
+}
+
+// ============= AUTHORIZE =============
+/**
+ * Authenticate the request (once; the router's result is reused) and check
+ * the required scope. Sends the 401/403 response itself and returns null
+ * when the request must stop, otherwise returns the auth context.
+ */
+async function authorize(req, res, scope = null) {
+  if (!req.auth) {
+    const result = await authenticate(req);
+    if (!result.auth) {
+      sendAuthError(res, result.status, result.error, result.message);
+      return null;
+    }
+    req.auth = result.auth;
+  }
+
+  if (!hasScope(req.auth, scope)) {
+    sendAuthError(res, 403, 'insufficient_scope', `Missing required scope: ${scope}`);
+    return null;
+  }
+
+  return req.auth;
+}
+
+// ============= TOOL ACCESS =============
+// The tool's scope plus any its arguments call for (tool.scopesFor(input))
+function requiredScopes(tool, input = {}) {
+  return [tool.scope || 'search', ...(tool.scopesFor ? tool.scopesFor(input) : [])];
+}
+
+/**
+ * Check a tool call before execute: the scopes the tool and its arguments
+ * need, then the API key's quotas. Returns null when allowed, otherwise
+ * { status, error, message }.
+ */
+async function checkToolAccess(auth, tool, input = {}) {
+  const missing = requiredScopes(tool, input).find(scope => !hasScope(auth, scope));
+  if (missing) {
+    return { status: 403, error: 'insufficient_scope', message: `Missing required scope: ${missing}` };
+  }
+
+  if (auth.keyId) {
+    const quota = await require('./mcp-keys').consumeQuota(auth.keyId);
+    if (!quota.allowed && quota.reason === 'revoked') {
+      return { status: 401, error: 'invalid_token', message: 'API key revoked' };
+    }
+    if (!quota.allowed) {
+      return {
+        status: 429,
+        error: 'quota_exceeded',
+        message: `API key ${quota.reason} quota exceeded`,
+        resetAt: quota.resetAt,
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  checkToolAccess,
+  requiredScopes,
+  hasScope,
+  sendAuthError,
+  sendAccessDenied,
+  SCOPES,
+  ANONYMOUS_SCOPES,
+};
@@ -0,0 +1,215 @@
+/**
+ * MCP CHAT - Secured LLM proxy (/api/chat)
+ * OpenAI-style chat completions routed to Gemini, OpenRouter or the free
+ * LLM, with automatic fallback along the chain and optional SSE token
+ * streaming. Provider keys never leave the server; callers need the `chat`
+ * scope and are held to per-client rate limits and API key quotas.
+ */
+
+const crypto = require('crypto');
+const { authorize, checkToolAccess, sendAccessDenied } = require('./mcp-auth');
+const { enforceRateLimit } = require('./rate-limiter');
+const { recordError } = require('./mcp-analytics');
+const { writeSSE } = require('./mcp-streaming');
+const { complete, stream, resolveTarget, availableProviders, defaultProvider, textOf, LLM_PROVIDERS, LLMProviderError } = require('./llm-providers');
+
+const MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS || '2048', 10);
+const MAX_MESSAGES = parseInt(process.env.LLM_MAX_MESSAGES || '50', 10);
+const MAX_INPUT_CHARS = parseInt(process.env.LLM_MAX_INPUT_CHARS || '32000', 10);
+const ROLES = ['system', 'user', 'assistant'];
+
+// Checked like a tool call: scope, API key quota, then rate limit
+const CHAT_TOOL = { name: 'chat', scope: 'chat' };
+
+// ============= VALIDATION =============
+/**
+ * Validate an OpenAI-style request body. Returns the completion options,
+ * or { error } describing the first problem found.
+ */
+function parseChatRequest(body) {
+  const { messages, provider, model, temperature, max_tokens: maxTokens, stream: streaming, fallback } = body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return { error: `Too many messages (max ${MAX_MESSAGES})` };
+  }
+
+  let chars = 0;
+  for (const [index, message] of messages.entries()) {
+    if (!message || !ROLES.includes(message.role)) {
+      return { error: `messages[${index}].role must be one of: ${ROLES.join(', ')}` };
+    }
+    if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+      return { error: `messages[${index}].content must be a string or an array of text parts` };
+    }
+    chars += textOf(message.content).length;
+  }
+  if (chars > MAX_INPUT_CHARS) {
+    return { error: `Input too long (${chars} characters, max ${MAX_INPUT_CHARS})` };
+  }
+  if (!messages.some(message => message.role === 'user')) {
+    return { error: 'messages must include at least one user message' };
+  }
+
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return { error: 'temperature must be a number between 0 and 2' };
+  }
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+    return { error: 'max_tokens must be a positive integer' };
+  }
+  if (streaming !== undefined && typeof streaming !== 'boolean') {
+    return { error: 'stream must be a boolean' };
+  }
+  if (fallback !== undefined && typeof fallback !== 'boolean') {
+    return { error: 'fallback must be a boolean' };
+  }
+
+  try {
+    resolveTarget(provider, model);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    messages,
+    provider,
+    model,
+    temperature,
+    maxTokens: Math.min(maxTokens || MAX_TOKENS, MAX_TOKENS),
+    stream: streaming === true,
+    fallback: fallback !== false,
+  };
+}
+
+// ============= RESPONSE =============
+const completionId = () => `chatcmpl_${crypto.randomBytes(12).toString('hex')}`;
+
+// `provider` is the one that answered; `fallbacks` lists the ones that failed first
+function toCompletion(result, id = completionId()) {
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    provider: result.provider,
+    model: result.model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: result.content },
+        finish_reason: result.finishReason,
+      },
+    ],
+    usage: result.usage,
+    fallbacks: result.attempts || [],
+  };
+}
+
+function providerErrorBody(error) {
+  return {
+    success: false,
+    error: 'provider_error',
+    message: error.message,
+    provider: error.provider,
+    upstreamStatus: error.status,
+    attempts: error.attempts || [],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// ============= SSE STREAMING =============
+// Events: `token` for each piece of text, `fallback` when a provider fails
+// before sending anything, then `done` (the full completion) or `error`
+async function streamCompletion(res, request, auth) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  if (res.flushHeaders) res.flushHeaders();
+
+  // Stop paying for tokens nobody will read
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const id = completionId();
+  try {
+    const result = await stream(request.messages, {
+      ...request,
+      signal: controller.signal,
+      onFallback: event => writeSSE(res, 'fallback', event),
+    }, (content, target) => writeSSE(res, 'token', { id, provider: target.provider, content }));
+
+    writeSSE(res, 'done', toCompletion(result, id));
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    await recordError(error, { route: 'chat', provider: error.provider, clientId: auth.clientId });
+    console.error('[CHAT ERROR]', error.message);
+    writeSSE(res, 'error', error instanceof LLMProviderError
+      ? providerErrorBody(error)
+      : { success: false, error: 'internal_error', message: error.message });
+  }
+  res.end();
+}
+
+// ============= API HANDLER =============
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const auth = await authorize(req, res, 'chat');
+  if (!auth) return;
+
+  // Which providers and models this server offers
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      default: defaultProvider(),
+      providers: availableProviders().map(name => ({ name, models: LLM_PROVIDERS[name].models })),
+      limits: { maxTokens: MAX_TOKENS, maxMessages: MAX_MESSAGES, maxInputChars: MAX_INPUT_CHARS },
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', allowed: ['GET', 'POST'] });
+  }
+
+  const request = parseChatRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'invalid_request',
+      message: request.error,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const denied = await checkToolAccess(auth, CHAT_TOOL);
+  if (denied) return sendAccessDenied(res, denied);
+  if (!(await enforceRateLimit(res, auth.clientId, CHAT_TOOL.name))) return;
+
+  if (request.stream) {
+    return streamCompletion(res, request, auth);
+  }
+
+  try {
+    const result = await complete(request.messages, request);
+    return res.status(200).json(toCompletion(result));
+  } catch (error) {
+    await recordError(error, { route: 'chat', provider: error.provider, clientId: auth.clientId });
+    if (error instanceof LLMProviderError) {
+      console.error('[CHAT ERROR]', error.message);
+      return res.status(502).json(providerErrorBody(error));
+    }
+    return res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports.parseChatRequest = parseChatRequest;
+module.exports.toCompletion = toCompletion;
@@ -0,0 +1,211 @@
+/**
+ * MCP API KEYS - Issued keys with scopes and per-key quotas
+ * Keys are shown once at creation and stored only as SHA-256 hashes.
+ * Admin endpoint: create / list / revoke.
+ */
+
+const crypto = require('crypto');
+const { authorize, SCOPES } = require('./mcp-auth');
+const { createStore } = require('./storage');
+
+const KEY_PREFIX = 'bub_';
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA || '1000', 10);
+const DEFAULT_MONTHLY_QUOTA = parseInt(process.env.API_KEY_MONTHLY_QUOTA || '20000', 10);
+
+// record:<id> -> key record, hash:<sha256> -> id, usage:<id>:<period> -> count,
+// lastUsed:<id> -> timestamp. Requests never rewrite record:<id>.
+const apiKeys = createStore('keys');
+const DAY_MS = 86400000;
+const LAST_USED_INTERVAL_MS = 60000;
+const lastUsedWrites = new Map(); // id -> when this instance last stored lastUsed
+
+// ============= HELPERS =============
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function currentPeriods(now = new Date()) {
+  const iso = now.toISOString();
+  return { day: iso.substring(0, 10), month: iso.substring(0, 7) };
+}
+
+function nextReset(period, now = new Date()) {
+  if (period === 'day') {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  }
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+function parseQuota(value, fallback) {
+  if (value === null) return null; // unlimited
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+async function readUsage(id) {
+  const { day, month } = currentPeriods();
+  const [daily, monthly] = await Promise.all([
+    apiKeys.get(`usage:${id}:${day}`),
+    apiKeys.get(`usage:${id}:${month}`),
+  ]);
+  return { day, daily: Number(daily || 0), month, monthly: Number(monthly || 0) };
+}
+
+async function publicRecord(record) {
+  const { hash, ...rest } = record;
+  const [lastUsed, usage] = await Promise.all([apiKeys.get(`lastUsed:${record.id}`), readUsage(record.id)]);
+  return { ...rest, lastUsed: lastUsed ?? rest.lastUsed ?? null, usage };
+}
+
+// ============= CREATE KEY =============
+async function createKey({ name, scopes = ['search'], quotas = {} } = {}, createdBy = null) {
+  const unknown = scopes.filter(scope => scope !== '*' && !SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+  }
+
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const id = `key_${crypto.randomBytes(6).toString('hex')}`;
+
+  const record = {
+    id,
+    name: name || id,
+    prefix: rawKey.substring(0, KEY_PREFIX.length + 6),
+    hash: hashKey(rawKey),
+    scopes,
+    quotas: {
+      daily: parseQuota(quotas.daily, DEFAULT_DAILY_QUOTA),
+      monthly: parseQuota(quotas.monthly, DEFAULT_MONTHLY_QUOTA),
+    },
+    created: Date.now(),
+    createdBy,
+    revoked: false,
+  };
+
+  await apiKeys.set(`record:${id}`, record);
+  await apiKeys.set(`hash:${record.hash}`, id);
+
+  // The raw key is only ever returned here
+  return { key: rawKey, ...(await publicRecord(record)) };
+}
+
+// ============= LIST / REVOKE =============
+async function listKeys() {
+  const records = await apiKeys.entries('record:');
+  return Promise.all(records.map(([, record]) => publicRecord(record)));
+}
+
+async function revokeKey(id) {
+  if (!(await apiKeys.has(`record:${id}`))) return null;
+
+  const record = await apiKeys.update(`record:${id}`, current => ({ ...current, revoked: true, revokedAt: Date.now() }));
+  await apiKeys.delete(`hash:${record.hash}`);
+  return publicRecord(record);
+}
+
+// ============= VERIFY =============
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+async function verifyKey(rawKey) {
+  const id = await apiKeys.get(`hash:${hashKey(rawKey)}`);
+  const record = id && await apiKeys.get(`record:${id}`);
+  if (!record || record.revoked) return null;
+
+  // At most one write per key per minute from each instance
+  const now = Date.now();
+  if (now - (lastUsedWrites.get(id) || 0) >= LAST_USED_INTERVAL_MS) {
+    lastUsedWrites.set(id, now);
+    await apiKeys.set(`lastUsed:${id}`, now);
+  }
+  return { ...(await publicRecord(record)), lastUsed: now };
+}
+
+// ============= QUOTAS =============
+/**
+ * Count one call against the key's daily and monthly quotas.
+ * The counters are incremented first and the decision is made from the counts
+ * they return, so parallel calls can't all pass; a refused call is taken back.
+ */
+async function consumeQuota(id) {
+  const record = await apiKeys.get(`record:${id}`);
+  if (!record || record.revoked) {
+    return { allowed: false, reason: 'revoked' };
+  }
+
+  // Counters expire on their own once their period is over
+  const { day, month } = currentPeriods();
+  const counters = [[`usage:${id}:${day}`, DAY_MS * 2], [`usage:${id}:${month}`, DAY_MS * 32]];
+  const [usedToday, usedThisMonth] = await Promise.all(counters.map(([key, ttlMs]) => apiKeys.incr(key, 1, ttlMs)));
+
+  const { daily, monthly } = record.quotas;
+  let exceeded = null;
+  if (daily !== null && usedToday > daily) {
+    exceeded = { reason: 'daily', limit: daily, remaining: 0, resetAt: nextReset('day') };
+  } else if (monthly !== null && usedThisMonth > monthly) {
+    exceeded = { reason: 'monthly', limit: monthly, remaining: 0, resetAt: nextReset('month') };
+  }
+  if (exceeded) {
+    await Promise.all(counters.map(([key, ttlMs]) => apiKeys.incr(key, -1, ttlMs)));
+    return { allowed: false, ...exceeded };
+  }
+
+  return {
+    allowed: true,
+    daily: { limit: daily, used: usedToday },
+    monthly: { limit: monthly, used: usedThisMonth },
+  };
+}
+
+// ============= ADMIN API HANDLER =============
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Content-Type', 'application/json');
+
+  const auth = await authorize(req, res, 'admin');
+  if (!auth) return;
+
+  const { action, id, name, scopes, quotas } = req.body || req.query;
+
+  try {
+    let result;
+
+    switch (action) {
+      case 'create':
+        if (scopes !== undefined && !Array.isArray(scopes)) {
+          return res.status(400).json({ error: 'scopes must be an array' });
+        }
+        result = await createKey({ name, scopes, quotas }, auth.clientId);
+        break;
+
+      case 'list':
+        result = await listKeys();
+        break;
+
+      case 'revoke':
+        if (!id) {
+          return res.status(400).json({ error: 'id required' });
+        }
+        result = await revokeKey(id);
+        if (!result) {
+          return res.status(404).json({ error: 'Key not found' });
+        }
+        break;
+
+      default:
+        return res.status(400).json({ error: 'Invalid action', availableActions: ['create', 'list', 'revoke'] });
+    }
+
+    return res.status(200).json({ success: true, result });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+module.exports.createKey = createKey;
+module.exports.listKeys = listKeys;
+module.exports.revokeKey = revokeKey;
+module.exports.verifyKey = verifyKey;
+module.exports.isApiKey = isApiKey;
+module.exports.consumeQuota = consumeQuota;
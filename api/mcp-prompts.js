@@ -1,13 +1,30 @@
 /**
  * MCP PROMPT TEMPLATES
- * Curated prompts for optimal search results and research workflows
+ * Curated prompts for optimal search results and research workflows, plus a
+ * library of custom prompts that can be created and edited without a deploy.
+ * Every edit of a custom prompt is kept as a numbered version.
  */
 
+const { authorize } = require('./mcp-auth');
+const { createStore } = require('./storage');
+const { compileTemplate, renderTemplate, TemplateError } = require('./prompt-template');
+
+// Every prompt takes `query`; others are declared per prompt as
+// { name, description, type: string|number|boolean|array, required, default, enum }
+const QUERY_ARGUMENT = { name: 'query', description: 'Topic or question to research', required: true };
+const DEFAULT_SYSTEM = 'You are a research assistant with web search. Prefer recent, authoritative sources and cite them.';
+
 const PROMPTS = {
   // ============= RESEARCH PROMPTS =============
   'deep_research': {
     name: 'Deep Research',
     description: 'Comprehensive research with multiple search angles',
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'depth', description: 'How far to go', enum: ['overview', 'standard', 'exhaustive'], default: 'standard' },
+      { name: 'angles', description: 'Specific angles to cover', type: 'array' },
+    ],
+    system: 'You are a meticulous research assistant. Cite sources for every claim.',
     template: `You are conducting deep research on: {{query}}
 
 Approach:
@@ -15,48 +32,81 @@ Approach:
 2. Find expert perspectives
 3. Look for recent developments
 4. Identify contrasting viewpoints
-5. Compile comprehensive overview`,
+5. Compile comprehensive overview
+{{#if angles}}
+Make sure to cover:
+{{#each angles}}- {{this}}
+{{/each}}{{/if}}
+{{#if depth == "overview"}}Keep it to a one-page overview.{{/if}}{{#if depth == "exhaustive"}}Be exhaustive: follow every lead and include primary sources.{{/if}}`,
   },
   
   'quick_answer': {
     name: 'Quick Answer',
     description: 'Get direct answer with key facts',
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'format', description: 'Answer layout', enum: ['paragraph', 'bullets'], default: 'paragraph' },
+    ],
     template: `Give me a concise answer to: {{query}}
-Include: definition, key facts, example`,
+Include: definition, key facts, example
+{{#if format == "bullets"}}Answer as short bullet points.{{/if}}`,
   },
   
   'news_brief': {
     name: 'News Brief',
     description: 'Get latest news and current updates',
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'timeRange', description: 'How far back to look', enum: ['day', 'week', 'month', 'year'], default: 'day' },
+      { name: 'region', description: 'Country or region to focus on' },
+    ],
     template: `Search for latest news on: {{query}}
-Focus on: today's developments, trending topics, breaking news`,
+Time range: past {{timeRange}}{{#if region}}
+Region: {{region}}{{/if}}
+Focus on: {{#if timeRange == "day"}}today's developments, trending topics, breaking news{{else}}the most important developments of the past {{timeRange}}, how the story evolved{{/if}}`,
   },
   
   'tutorial': {
     name: 'Tutorial Search',
     description: 'Find step-by-step guides and tutorials',
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'level', description: 'Reader experience level', enum: ['beginner', 'intermediate', 'advanced'], default: 'beginner' },
+    ],
     template: `Find tutorial for: {{query}}
+Level: {{level}}
 Include: prerequisites, steps, examples, troubleshooting`,
   },
   
   'comparison': {
     name: 'Comparison',
     description: 'Compare options and alternatives',
-    template: `Compare options for: {{query}}
-Show: pros/cons, features, pricing, use cases`,
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'items', description: 'Options to compare', type: 'array' },
+      { name: 'criteria', description: 'What to compare on', type: 'array', default: ['pros/cons', 'features', 'pricing', 'use cases'] },
+    ],
+    template: `Compare {{#if items}}{{#each items}}{{this}}{{#unless @last}} vs {{/unless}}{{/each}} for: {{query}}{{else}}options for: {{query}}{{/if}}
+Show: {{criteria}}{{#if items}}
+Finish with a table comparing {{#each items}}{{this}}{{#unless @last}}, {{/unless}}{{/each}} on each point.{{/if}}`,
   },
   
   // ============= TOPIC-SPECIFIC PROMPTS =============
   'coding': {
     name: 'Coding Help',
     description: 'Search for code solutions and documentation',
-    template: `Help me with {{query}}
+    arguments: [
+      QUERY_ARGUMENT,
+      { name: 'language', description: 'Programming language or framework' },
+    ],
+    template: `Help me with {{query}}{{#if language}} in {{language}}{{/if}}
 I need: code examples, best practices, documentation, libraries`,
   },
   
   'gaming': {
     name: 'Gaming Info',
     description: 'Find gaming guides, tips, and updates',
+    arguments: [QUERY_ARGUMENT],
     template: `Information about {{query}}
 Include: guides, tips, updates, community info`,
   },
@@ -64,6 +114,7 @@ Include: guides, tips, updates, community info`,
   'business': {
     name: 'Business Research',
     description: 'Research business topics and trends',
+    arguments: [QUERY_ARGUMENT],
     template: `Business insight on: {{query}}
 Look for: market trends, strategies, case studies, statistics`,
   },
@@ -71,68 +122,498 @@ Look for: market trends, strategies, case studies, statistics`,
   'learning': {
     name: 'Learning Resource',
     description: 'Find educational materials and courses',
+    arguments: [QUERY_ARGUMENT],
     template: `Learn about {{query}}
 Find: courses, tutorials, documentation, official resources`,
   },
 };
 
+// Malformed templates fail at startup rather than on first use
+Object.values(PROMPTS).forEach((prompt) => {
+  compileTemplate(prompt.template);
+  if (prompt.system) compileTemplate(prompt.system);
+});
+
+// ============= ARGUMENT VALIDATION =============
+class PromptArgumentError extends Error {
+  constructor(errors) {
+    super(`Invalid prompt arguments: ${errors.join('; ')}`);
+    this.name = 'PromptArgumentError';
+    this.errors = errors;
+  }
+}
+
+// MCP clients send every argument as a string, so values are coerced
+function coerce(definition, value) {
+  const type = definition.type || 'string';
+  switch (type) {
+    case 'array':
+      if (Array.isArray(value)) return value.map(String);
+      if (typeof value === 'string') {
+        const text = value.trim();
+        if (text.startsWith('[')) {
+          try {
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) return parsed.map(String);
+          } catch (error) {
+            // not JSON, fall through to comma-separated
+          }
+        }
+        return text.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      return undefined;
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return Number.isFinite(number) && String(value).trim() !== '' ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return undefined;
+    default:
+      return typeof value === 'object' ? undefined : String(value);
+  }
+}
+
+/**
+ * Check `args` against the prompt's declared arguments and apply defaults.
+ * Throws PromptArgumentError listing every problem.
+ */
+function validateArguments(prompt, args = {}) {
+  const errors = [];
+  const values = {};
+  const declared = prompt.arguments || [];
+
+  const unknown = Object.keys(args).filter(name => !declared.some(definition => definition.name === name));
+  if (unknown.length > 0) errors.push(`Unknown argument(s): ${unknown.join(', ')}`);
+
+  for (const definition of declared) {
+    const raw = args[definition.name];
+    const missing = raw === undefined || raw === null || raw === '';
+
+    if (missing) {
+      if (definition.required) errors.push(`Missing required argument: ${definition.name}`);
+      else if (definition.default !== undefined) values[definition.name] = definition.default;
+      continue;
+    }
+
+    const value = coerce(definition, raw);
+    if (value === undefined) {
+      errors.push(`${definition.name} must be a ${definition.type || 'string'}`);
+      continue;
+    }
+    if (definition.enum) {
+      const invalid = (Array.isArray(value) ? value : [value]).filter(item => !definition.enum.includes(item));
+      if (invalid.length > 0) {
+        errors.push(`${definition.name} must be one of: ${definition.enum.join(', ')}`);
+        continue;
+      }
+    }
+    values[definition.name] = value;
+  }
+
+  if (errors.length > 0) throw new PromptArgumentError(errors);
+  return values;
+}
+
+// ============= CUSTOM PROMPT LIBRARY =============
+// prompt:<id> -> { id, current, latest, createdAt, updatedAt, createdBy }
+// version:<id>:<n> -> full definition as of version n
+// seq:<id> -> last version number handed out
+const promptStore = createStore('prompts');
+
+const ARGUMENT_TYPES = ['string', 'number', 'boolean', 'array'];
+const PROMPT_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_TEMPLATE_CHARS = 20000;
+const MAX_KEYWORDS = 20;
+
+class PromptLibraryError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'PromptLibraryError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// `prompt@3` pins version 3 where only a name can be passed (prompts/get)
+function parsePromptRef(ref, version) {
+  const [id, pinned] = String(ref || '').split('@');
+  const requested = version ?? pinned;
+  return { id, version: requested === undefined || requested === '' ? null : Number(requested) };
+}
+
+function validateArgumentDefinitions(definitions, errors) {
+  if (!Array.isArray(definitions)) {
+    errors.push('arguments must be an array');
+    return [];
+  }
+
+  const seen = new Set();
+  return definitions.map((definition, index) => {
+    const label = `arguments[${index}]`;
+    if (!definition || typeof definition !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    const { name, description = '', type = 'string', required = false } = definition;
+    if (typeof name !== 'string' || !/^[A-Za-z_]\w*$/.test(name)) {
+      errors.push(`${label}.name must be an identifier`);
+    } else if (seen.has(name)) {
+      errors.push(`Duplicate argument: ${name}`);
+    }
+    seen.add(name);
+    if (!ARGUMENT_TYPES.includes(type)) errors.push(`${label}.type must be one of: ${ARGUMENT_TYPES.join(', ')}`);
+    if (typeof required !== 'boolean') errors.push(`${label}.required must be a boolean`);
+    if (definition.enum !== undefined && (!Array.isArray(definition.enum) || definition.enum.length === 0)) {
+      errors.push(`${label}.enum must be a non-empty array`);
+    }
+
+    const cleaned = { name, description: String(description), type, required };
+    if (Array.isArray(definition.enum) && definition.enum.length > 0) cleaned.enum = definition.enum;
+    if (definition.default !== undefined) {
+      // The default has to pass the same checks as a caller-supplied value
+      try {
+        cleaned.default = validateArguments({ arguments: [{ ...cleaned, required: true }] }, { [name]: definition.default })[name];
+      } catch (error) {
+        errors.push(`${label}.default is invalid: ${error.errors ? error.errors.join('; ') : error.message}`);
+      }
+    }
+    return cleaned;
+  });
+}
+
+function validateTemplate(field, source, errors, required) {
+  if (source === undefined || source === null || source === '') {
+    if (required) errors.push(`${field} is required`);
+    return;
+  }
+  if (typeof source !== 'string') {
+    errors.push(`${field} must be a string`);
+    return;
+  }
+  if (source.length > MAX_TEMPLATE_CHARS) errors.push(`${field} is too long (max ${MAX_TEMPLATE_CHARS} characters)`);
+  try {
+    compileTemplate(source);
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    errors.push(`${field}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a full custom prompt definition and return the normalized copy.
+ * Throws PromptLibraryError (400) listing every problem.
+ */
+function validateDefinition(input) {
+  const errors = [];
+  const definition = {
+    name: input.name,
+    description: input.description || '',
+    arguments: input.arguments === undefined ? [QUERY_ARGUMENT] : input.arguments,
+    system: input.system || null,
+    template: input.template,
+    keywords: input.keywords || [],
+  };
+
+  if (typeof definition.name !== 'string' || !definition.name.trim()) errors.push('name is required');
+  if (typeof definition.description !== 'string') errors.push('description must be a string');
+  validateTemplate('template', definition.template, errors, true);
+  validateTemplate('system', definition.system, errors, false);
+  definition.arguments = validateArgumentDefinitions(definition.arguments, errors);
+
+  if (!Array.isArray(definition.keywords) || definition.keywords.some(keyword => typeof keyword !== 'string')) {
+    errors.push('keywords must be an array of strings');
+  } else if (definition.keywords.length > MAX_KEYWORDS) {
+    errors.push(`Too many keywords (max ${MAX_KEYWORDS})`);
+  } else {
+    definition.keywords = Array.from(new Set(
+      definition.keywords.map(keyword => keyword.toLowerCase().trim().replace(/\s+/g, ' ')).filter(Boolean),
+    ));
+  }
+
+  if (errors.length > 0) throw new PromptLibraryError(400, `Invalid prompt: ${errors.join('; ')}`, errors);
+  return definition;
+}
+
+async function writeVersion(id, definition, meta) {
+  const version = await promptStore.incr(`seq:${id}`);
+  const now = new Date().toISOString();
+  await promptStore.set(`version:${id}:${version}`, {
+    ...definition,
+    version,
+    createdAt: now,
+    createdBy: meta.createdBy || null,
+    note: meta.note || null,
+    ...(meta.rolledBackFrom && { rolledBackFrom: meta.rolledBackFrom }),
+  });
+  // The last writer decides `current`
+  const head = await promptStore.update(`prompt:${id}`, existing => ({
+    id,
+    createdAt: existing?.createdAt || now,
+    createdBy: existing?.createdBy || meta.createdBy || null,
+    ...existing,
+    current: version,
+    latest: Math.max(version, existing?.latest || 0),
+    updatedAt: now,
+  }));
+  return { head, version };
+}
+
+async function getCustomHead(id) {
+  const head = await promptStore.get(`prompt:${id}`);
+  if (!head) throw new PromptLibraryError(404, `Unknown prompt: ${id}`);
+  return head;
+}
+
+async function createPrompt(input = {}, meta = {}) {
+  const { id } = input;
+  if (typeof id !== 'string' || !PROMPT_ID.test(id)) {
+    throw new PromptLibraryError(400, 'id must be 1-64 lowercase letters, digits, "-" or "_"');
+  }
+  if (PROMPTS[id] || await promptStore.has(`prompt:${id}`)) {
+    throw new PromptLibraryError(409, `Prompt already exists: ${id}`);
+  }
+
+  const definition = validateDefinition(input);
+  await writeVersion(id, definition, meta);
+  return getCustomPrompt(id);
+}
+
+/** Apply a partial edit on top of the current version, as a new version. */
+async function updatePrompt(id, changes = {}, meta = {}) {
+  if (PROMPTS[id]) throw new PromptLibraryError(403, `Built-in prompts cannot be changed: ${id}`);
+  const head = await getCustomHead(id);
+  const current = await promptStore.get(`version:${id}:${head.current}`);
+
+  const fields = ['name', 'description', 'arguments', 'system', 'template', 'keywords'];
+  const next = { ...current };
+  fields.forEach((field) => {
+    if (changes[field] !== undefined) next[field] = changes[field];
+  });
+
+  const definition = validateDefinition(next);
+  await writeVersion(id, definition, meta);
+  return getCustomPrompt(id);
+}
+
+/** Make an earlier version current again; history is kept as a new version. */
+async function rollbackPrompt(id, version, meta = {}) {
+  if (PROMPTS[id]) throw new PromptLibraryError(403, `Built-in prompts cannot be changed: ${id}`);
+  if (!Number.isInteger(Number(version)) || version === null || version === '') {
+    throw new PromptLibraryError(400, 'version is required');
+  }
+  await getCustomHead(id);
+  const target = await promptStore.get(`version:${id}:${Number(version)}`);
+  if (!target) throw new PromptLibraryError(404, `Unknown version ${version} of prompt ${id}`);
+
+  const { version: targetVersion, createdAt, createdBy, note, rolledBackFrom, ...definition } = target;
+  await writeVersion(id, definition, { ...meta, rolledBackFrom: targetVersion, note: meta.note || `Rollback to version ${targetVersion}` });
+  return getCustomPrompt(id);
+}
+
+async function deletePrompt(id) {
+  if (PROMPTS[id]) throw new PromptLibraryError(403, `Built-in prompts cannot be deleted: ${id}`);
+  await getCustomHead(id);
+  const versions = await promptStore.clear(`version:${id}:`);
+  await promptStore.delete(`seq:${id}`);
+  await promptStore.delete(`prompt:${id}`);
+  return { id, deleted: true, versions };
+}
+
+async function listVersions(id) {
+  if (PROMPTS[id]) return [{ version: 1, builtIn: true }];
+  const head = await getCustomHead(id);
+  const versions = (await promptStore.entries(`version:${id}:`))
+    .map(([, version]) => ({
+      version: version.version,
+      current: version.version === head.current,
+      createdAt: version.createdAt,
+      createdBy: version.createdBy,
+      note: version.note,
+      ...(version.rolledBackFrom && { rolledBackFrom: version.rolledBackFrom }),
+    }));
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+async function getCustomPrompt(id, version = null) {
+  const head = await promptStore.get(`prompt:${id}`);
+  if (!head) return null;
+  const definition = await promptStore.get(`version:${id}:${version ?? head.current}`);
+  if (!definition) return null;
+  return {
+    id,
+    builtIn: false,
+    ...definition,
+    currentVersion: head.current,
+    latestVersion: head.latest,
+    updatedAt: head.updatedAt,
+  };
+}
+
+/**
+ * Built-in or custom prompt by id, optionally pinned to a version
+ * (built-ins only have version 1). Null when either is unknown.
+ */
+async function resolvePrompt(ref, version) {
+  const pinned = parsePromptRef(ref, version);
+  if (PROMPTS[pinned.id]) {
+    if (pinned.version !== null && pinned.version !== 1) return null;
+    return { id: pinned.id, builtIn: true, version: 1, keywords: [], ...PROMPTS[pinned.id] };
+  }
+  if (pinned.version !== null && !Number.isInteger(pinned.version)) return null;
+  return getCustomPrompt(pinned.id, pinned.version);
+}
+
+// ============= RENDER =============
+const tidy = text => text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+
+/**
+ * Validate arguments and render the prompt to MCP messages:
+ * { description, messages: [{ role: 'system' | 'user', content: { type: 'text', text } }] }
+ */
+async function renderPrompt(promptType, args = {}, version) {
+  const prompt = await resolvePrompt(promptType, version);
+  if (!prompt) throw new PromptLibraryError(404, `Unknown prompt: ${promptType}`);
+
+  const values = validateArguments(prompt, args);
+  const messages = [
+    { role: 'system', content: { type: 'text', text: tidy(renderTemplate(prompt.system || DEFAULT_SYSTEM, values)) } },
+    { role: 'user', content: { type: 'text', text: tidy(renderTemplate(prompt.template, values)) } },
+  ];
+
+  return { description: prompt.description, version: prompt.version, messages };
+}
+
 // ============= PROMPT ENHANCEMENT =============
-function enhanceQuery(originalQuery, promptType) {
-  const prompt = PROMPTS[promptType] || PROMPTS['deep_research'];
-  return prompt.template.replace('{{query}}', originalQuery);
+// Unknown prompts fall back to deep_research; the query is only passed to prompts that declare it
+async function enhanceQuery(originalQuery, promptType, args = {}, version) {
+  const requested = await resolvePrompt(promptType, version);
+  const type = requested ? promptType : 'deep_research';
+  const prompt = requested || (await resolvePrompt(type));
+  const values = prompt.arguments.some(argument => argument.name === 'query') ? { ...args, query: originalQuery } : args;
+  const { messages } = await renderPrompt(type, values, requested ? version : undefined);
+  return messages[1].content.text;
 }
 
 // ============= GET PROMPT =============
-function getPrompt(promptType) {
-  return PROMPTS[promptType] || PROMPTS['quick_answer'];
+async function getPrompt(promptType, version) {
+  return (await resolvePrompt(promptType, version)) || resolvePrompt('quick_answer');
 }
 
 // ============= LIST PROMPTS =============
-function listPrompts() {
-  return Object.entries(PROMPTS).map(([key, prompt]) => ({
+async function listPrompts() {
+  const builtIns = Object.entries(PROMPTS).map(([key, prompt]) => ({
     id: key,
     name: prompt.name,
     description: prompt.description,
+    arguments: prompt.arguments,
+    builtIn: true,
+    version: 1,
   }));
+
+  const heads = (await promptStore.entries('prompt:')).map(([, head]) => head);
+  const custom = (await Promise.all(heads.map(head => getCustomPrompt(head.id))))
+    .filter(Boolean)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(prompt => ({
+      id: prompt.id,
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments,
+      builtIn: false,
+      version: prompt.version,
+      latestVersion: prompt.latestVersion,
+      keywords: prompt.keywords,
+      updatedAt: prompt.updatedAt,
+    }));
+
+  return [...builtIns, ...custom];
 }
 
 // ============= PROMPT SUGGESTION =============
-function suggestPrompt(query) {
-  const q = query.toLowerCase();
-  
-  if (q.match(/(how|tutorial|learn|guide|steps)/)) return 'tutorial';
-  if (q.match(/(compare|vs|difference|versus|better)/)) return 'comparison';
-  if (q.match(/(latest|news|breaking|today|recent)/)) return 'news_brief';
-  if (q.match(/(code|javascript|python|react|node)/)) return 'coding';
-  if (q.match(/(game|roblox|minecraft|gaming)/)) return 'gaming';
-  if (q.match(/(business|startup|marketing|sales)/)) return 'business';
-  if (q.match(/(course|learn|study|education)/)) return 'learning';
-  
-  return 'deep_research';
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Custom prompts win when one of their keywords appears as a whole word or
+// phrase; the prompt with the most matching keywords is picked.
+async function suggestCustomPrompt(q) {
+  const prompts = (await listPrompts()).filter(prompt => !prompt.builtIn && prompt.keywords.length > 0);
+  let best = null;
+  for (const prompt of prompts) {
+    const matched = prompt.keywords.filter(keyword => new RegExp(`(^|\\W)${escapeRegExp(keyword)}(?=\\W|$)`).test(q));
+    if (matched.length > 0 && (!best || matched.length > best.matched.length)) {
+      best = { id: prompt.id, matched };
+    }
+  }
+  return best;
+}
+
+async function suggestPrompt(query, { explain = false } = {}) {
+  const q = String(query || '').toLowerCase();
+
+  const custom = await suggestCustomPrompt(q);
+  if (custom) return explain ? { suggested: custom.id, matchedKeywords: custom.matched } : custom.id;
+
+  let suggested = 'deep_research';
+  if (q.match(/(how|tutorial|learn|guide|steps)/)) suggested = 'tutorial';
+  else if (q.match(/(compare|vs|difference|versus|better)/)) suggested = 'comparison';
+  else if (q.match(/(latest|news|breaking|today|recent)/)) suggested = 'news_brief';
+  else if (q.match(/(code|javascript|python|react|node)/)) suggested = 'coding';
+  else if (q.match(/(game|roblox|minecraft|gaming)/)) suggested = 'gaming';
+  else if (q.match(/(business|startup|marketing|sales)/)) suggested = 'business';
+  else if (q.match(/(course|learn|study|education)/)) suggested = 'learning';
+
+  return explain ? { suggested } : suggested;
 }
 
 // ============= API HANDLER =============
+const WRITE_ACTIONS = ['create', 'update', 'delete', 'rollback'];
+
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Content-Type', 'application/json');
   
-  const { action, promptType, query } = req.body || req.query;
+  const { action, promptType, query, arguments: args, version, prompt, note } = req.body || req.query;
+
+  const auth = await authorize(req, res, WRITE_ACTIONS.includes(action) ? 'prompts:write' : 'prompts:read');
+  if (!auth) return;
+  
+  const meta = { createdBy: auth.clientId, note };
   
   try {
     let result;
     
     switch (action) {
       case 'get':
-        result = getPrompt(promptType);
+        result = await getPrompt(promptType, version);
         break;
       case 'list':
-        result = listPrompts();
+        result = await listPrompts();
+        break;
+      case 'versions':
+        result = await listVersions(promptType);
         break;
       case 'enhance':
-        result = { enhanced: enhanceQuery(query, promptType) };
+        result = { enhanced: await enhanceQuery(query, promptType, args, version) };
+        break;
+      case 'render':
+        result = await renderPrompt(promptType, { ...args, ...(query !== undefined && { query }) }, version);
         break;
       case 'suggest':
-        result = { suggested: suggestPrompt(query) };
+        result = await suggestPrompt(query, { explain: true });
+        break;
+      case 'create':
+        result = await createPrompt(prompt, meta);
+        break;
+      case 'update':
+        result = await updatePrompt(promptType, prompt, meta);
+        break;
+      case 'rollback':
+        result = await rollbackPrompt(promptType, version, meta);
+        break;
+      case 'delete':
+        result = await deletePrompt(promptType);
         break;
       default:
         return res.status(400).json({ error: 'Invalid action' });
@@ -140,6 +621,9 @@ module.exports = async (req, res) => {
     
     return res.status(200).json({ success: true, result });
   } catch (error) {
+    if (error instanceof PromptArgumentError || error instanceof PromptLibraryError) {
+      return res.status(error.status || 400).json({ success: false, error: error.message, errors: error.errors });
+    }
     return res.status(500).json({ success: false, error: error.message });
   }
 };
@@ -147,4 +631,14 @@ module.exports = async (req, res) => {
 module.exports.getPrompt = getPrompt;
 module.exports.listPrompts = listPrompts;
 module.exports.enhanceQuery = enhanceQuery;
+module.exports.renderPrompt = renderPrompt;
+module.exports.resolvePrompt = resolvePrompt;
+module.exports.validateArguments = validateArguments;
+module.exports.createPrompt = createPrompt;
+module.exports.updatePrompt = updatePrompt;
+module.exports.rollbackPrompt = rollbackPrompt;
+module.exports.deletePrompt = deletePrompt;
+module.exports.listVersions = listVersions;
+module.exports.PromptArgumentError = PromptArgumentError;
+module.exports.PromptLibraryError = PromptLibraryError;
 module.exports.suggestPrompt = suggestPrompt;
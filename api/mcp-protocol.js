@@ -0,0 +1,299 @@
+/**
+ * MCP PROTOCOL - JSON-RPC 2.0 Model Context Protocol core
+ * Single dispatcher that exposes every tool, resource and prompt module
+ * to spec-compliant MCP clients. Transports (HTTP, stdio) feed it messages.
+ */
+
+const { MCP_SEARCH_TOOLS } = require('./mcp-search');
+const { MCP_TOOLS } = require('./mcp-server');
+const { listResources, getResource } = require('./mcp-resources');
+const { listPrompts, renderPrompt, PromptArgumentError, PromptLibraryError } = require('./mcp-prompts');
+const { checkToolAccess, hasScope } = require('./mcp-auth');
+const { consume: consumeRateLimit, limitsFor } = require('./rate-limiter');
+
+const JSONRPC_VERSION = '2.0';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'bubble-ai-backend', version: '1.0.0' };
+
+// ============= ERROR CODES =============
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+  FORBIDDEN: -32001,
+  RATE_LIMITED: -32029,
+};
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// ============= TOOL REGISTRY =============
+// Legacy bubble-search-api tools whose names the search module also uses get
+// a distinct name here; /api/mcp-server still serves them under the original.
+const LEGACY_TOOL_NAMES = { web_search: 'bubble_search' };
+
+// Any other name collision is a startup error, so no tool is dropped silently
+function buildToolRegistry() {
+  const registry = { ...MCP_SEARCH_TOOLS };
+  for (const [name, tool] of Object.entries(MCP_TOOLS)) {
+    const exposed = LEGACY_TOOL_NAMES[name] || name;
+    if (registry[exposed]) {
+      throw new Error(`Tool name collision: ${exposed} is defined by both mcp-search and mcp-server`);
+    }
+    registry[exposed] = tool;
+  }
+  return registry;
+}
+
+const TOOL_REGISTRY = buildToolRegistry();
+
+function validateArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'arguments must be an object';
+  }
+  const missing = (schema?.required || []).filter(key => args[key] === undefined || args[key] === null);
+  if (missing.length > 0) {
+    return `Missing required argument(s): ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+function isErrorResult(result) {
+  return !result || result.success === false || Boolean(result.error);
+}
+
+// Resources and prompts are gated like their REST endpoints (resources:read, prompts:read)
+function requireScope(context, scope) {
+  if (!hasScope(context.auth, scope)) {
+    throw new JsonRpcError(ERROR_CODES.FORBIDDEN, `Missing required scope: ${scope}`, { status: 403, error: 'insufficient_scope' });
+  }
+}
+
+// ============= METHOD HANDLERS =============
+const METHODS = {
+  'initialize': async (params = {}) => {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false },
+        prompts: { listChanged: false },
+      },
+      serverInfo: SERVER_INFO,
+    };
+  },
+
+  'ping': async () => ({}),
+
+  'tools/list': async () => ({
+    tools: Object.entries(TOOL_REGISTRY).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+    })),
+  }),
+
+  'tools/call': async (params = {}, context) => {
+    const { name, arguments: args = {} } = params;
+    const tool = TOOL_REGISTRY[name];
+    if (!tool) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const invalid = validateArguments(tool.inputSchema, args);
+    if (invalid) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, invalid, { tool: name });
+    }
+
+    const denied = await checkToolAccess(context.auth, tool, args);
+    if (denied) {
+      const code = denied.status === 429 ? ERROR_CODES.RATE_LIMITED : ERROR_CODES.FORBIDDEN;
+      const { message, ...data } = denied;
+      throw new JsonRpcError(code, message, { tool: name, ...data });
+    }
+
+    const rateLimit = await consumeRateLimit(context.clientId, limitsFor(name, tool, args));
+    if (!rateLimit.allowed) {
+      throw new JsonRpcError(ERROR_CODES.RATE_LIMITED, 'Rate limit exceeded', { tool: name, status: 429, rateLimit });
+    }
+
+    // Progress notifications go out only when the client asked for them
+    // and the transport has a channel for server-to-client messages
+    const progressToken = params._meta?.progressToken;
+    const onProgress = progressToken !== undefined && context.notify
+      ? (progress, total, message) => context.notify({
+        jsonrpc: JSONRPC_VERSION,
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message },
+      })
+      : undefined;
+
+    try {
+      const result = await tool.execute(args, context.clientId, { onProgress });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result ?? { error: 'No content returned' }, null, 2) }],
+        isError: isErrorResult(result),
+      };
+    } catch (error) {
+      console.error('[MCP-PROTOCOL ERROR]', name, error.message);
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true,
+      };
+    }
+  },
+
+  'resources/list': async (params = {}, context) => {
+    requireScope(context, 'resources:read');
+    return {
+      resources: (await listResources()).map(resource => ({
+        uri: resource.uri,
+        name: resource.metadata?.title || resource.uri,
+        description: resource.description,
+        mimeType: resource.mimeType,
+      })),
+    };
+  },
+
+  'resources/read': async (params = {}, context) => {
+    requireScope(context, 'resources:read');
+    if (!params.uri) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, 'uri is required');
+    }
+
+    const resource = await getResource(params.uri);
+    if (!resource) {
+      throw new JsonRpcError(ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+    }
+
+    return {
+      contents: [{
+        uri: params.uri,
+        mimeType: resource.metadata?.mimeType || 'text/plain',
+        text: typeof resource.content === 'string' ? resource.content : JSON.stringify(resource.content),
+      }],
+    };
+  },
+
+  'prompts/list': async (params = {}, context) => {
+    requireScope(context, 'prompts:read');
+    return {
+      prompts: (await listPrompts()).map(prompt => ({
+        name: prompt.id,
+        description: prompt.description,
+        arguments: prompt.arguments.map(({ name, description, required }) => ({ name, description, required: Boolean(required) })),
+      })),
+    };
+  },
+
+  // `name@3` renders version 3 of a custom prompt instead of the current one
+  'prompts/get': async (params = {}, context) => {
+    requireScope(context, 'prompts:read');
+    const { name, arguments: args = {} } = params;
+
+    try {
+      return await renderPrompt(name, args);
+    } catch (error) {
+      if (error instanceof PromptArgumentError || error instanceof PromptLibraryError) {
+        throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, error.message, error.errors.length > 0 ? { errors: error.errors } : undefined);
+      }
+      throw error;
+    }
+  },
+};
+
+// ============= MESSAGE DISPATCH =============
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: JSONRPC_VERSION, id: id ?? null, error };
+}
+
+function isValidRequest(message) {
+  return message
+    && typeof message === 'object'
+    && !Array.isArray(message)
+    && message.jsonrpc === JSONRPC_VERSION
+    && typeof message.method === 'string'
+    && (message.id === undefined || ['string', 'number'].includes(typeof message.id) || message.id === null);
+}
+
+/**
+ * Handle one JSON-RPC message. Resolves to the response object, or null
+ * for notifications (messages without an id) and client responses.
+ */
+async function handleMessage(message, context = {}) {
+  if (!isValidRequest(message)) {
+    // Responses from the client (e.g. to server requests) need no reply
+    if (message && message.jsonrpc === JSONRPC_VERSION && message.method === undefined
+      && ('result' in message || 'error' in message)) {
+      return null;
+    }
+    return errorResponse(message?.id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const isNotification = message.id === undefined;
+  const handler = METHODS[message.method];
+
+  if (!handler) {
+    if (isNotification) return null;
+    return errorResponse(message.id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+  }
+
+  try {
+    const result = await handler(message.params, { clientId: 'anonymous', ...context });
+    return isNotification ? null : { jsonrpc: JSONRPC_VERSION, id: message.id, result };
+  } catch (error) {
+    if (isNotification) return null;
+    if (error instanceof JsonRpcError) {
+      return errorResponse(message.id, error.code, error.message, error.data);
+    }
+    console.error('[MCP-PROTOCOL ERROR]', message.method, error);
+    return errorResponse(message.id, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+/**
+ * Handle a single message or a batch. Resolves to null when nothing
+ * needs to be sent back (notifications only).
+ */
+async function handlePayload(payload, context = {}) {
+  if (Array.isArray(payload)) {
+    if (payload.length === 0) {
+      return errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request');
+    }
+    const responses = (await Promise.all(payload.map(message => handleMessage(message, context))))
+      .filter(Boolean);
+    return responses.length > 0 ? responses : null;
+  }
+  return handleMessage(payload, context);
+}
+
+function parseErrorResponse(message = 'Parse error') {
+  return errorResponse(null, ERROR_CODES.PARSE_ERROR, message);
+}
+
+module.exports = {
+  handleMessage,
+  handlePayload,
+  parseErrorResponse,
+  JsonRpcError,
+  ERROR_CODES,
+  TOOL_REGISTRY,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  SERVER_INFO,
+};
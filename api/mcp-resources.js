@@ -3,8 +3,13 @@
  * Provides resource URIs for indexed pages and extracted content
  */
 
-const resources = new Map();
-const resourceMetadata = new Map();
+const { authorize } = require('./mcp-auth');
+const { createStore } = require('./storage');
+const { indexResource } = require('./local-index');
+const { rememberText } = require('./vector-index');
+
+const resources = createStore('resources');
+const resourceMetadata = createStore('resource-meta');
 
 // ============= RESOURCE TYPES =============
 const RESOURCE_TYPES = {
@@ -15,52 +20,57 @@ const RESOURCE_TYPES = {
 };
 
 // ============= ADD RESOURCE =============
-function addResource(id, content, type = 'page', metadata = {}) {
+async function addResource(id, content, type = 'page', metadata = {}) {
   const resourceId = `resource://${type}/${id}`;
-  resources.set(resourceId, {
+  await resources.set(resourceId, {
     content,
     type,
     size: content.length,
     created: Date.now(),
   });
   
-  resourceMetadata.set(resourceId, {
+  await resourceMetadata.set(resourceId, {
     ...metadata,
     uri: resourceId,
-    mimeType: RESOURCE_TYPES[type]?.mime || 'text/plain',
+    mimeType: metadata.mimeType || RESOURCE_TYPES[type]?.mime || 'text/plain',
   });
   
+  // Searchable through search_local and retrieve_passages; indexing runs in the background
+  indexResource(resourceId, content, metadata);
+  rememberText(resourceId, content, { type, uri: resourceId, title: metadata.title || null, url: metadata.url || null });
+  
   return resourceId;
 }
 
 // ============= GET RESOURCE =============
-function getResource(resourceId) {
-  const resource = resources.get(resourceId);
+async function getResource(resourceId) {
+  const resource = await resources.get(resourceId);
   if (!resource) return null;
   
   return {
     ...resource,
-    metadata: resourceMetadata.get(resourceId),
+    metadata: await resourceMetadata.get(resourceId),
   };
 }
 
 // ============= LIST RESOURCES =============
-function listResources(type = null) {
-  const filtered = Array.from(resources.entries()).filter(([id, res]) =>
+async function listResources(type = null) {
+  const metadata = new Map(await resourceMetadata.entries());
+  const filtered = (await resources.entries()).filter(([id, res]) =>
     !type || res.type === type
   );
   
   return filtered.map(([id, res]) => ({
     uri: id,
-    mimeType: RESOURCE_TYPES[res.type]?.mime,
+    mimeType: metadata.get(id)?.mimeType || RESOURCE_TYPES[res.type]?.mime,
     description: RESOURCE_TYPES[res.type]?.description,
-    metadata: resourceMetadata.get(id),
+    metadata: metadata.get(id),
   }));
 }
 
 // ============= RESOURCE HANDLER =============
-function handleResourceRequest(uri) {
-  const resource = getResource(uri);
+async function handleResourceRequest(uri) {
+  const resource = await getResource(uri);
   if (!resource) {
     return { error: 'Resource not found', uri };
   }
@@ -75,6 +85,9 @@ module.exports = async (req, res) => {
   
   const { action, resourceId, type, content, metadata } = req.body || req.query;
   
+  const auth = await authorize(req, res, action === 'add' ? 'resources:write' : 'resources:read');
+  if (!auth) return;
+  
   try {
     let result;
     
@@ -83,28 +96,28 @@ module.exports = async (req, res) => {
         if (!resourceId || !content) {
           return res.status(400).json({ error: 'resourceId and content required' });
         }
-        result = addResource(resourceId, content, type || 'page', metadata || {});
+        result = await addResource(resourceId, content, type || 'page', metadata || {});
         break;
         
       case 'get':
         if (!resourceId) {
           return res.status(400).json({ error: 'resourceId required' });
         }
-        result = getResource(resourceId);
+        result = await getResource(resourceId);
         if (!result) {
           return res.status(404).json({ error: 'Resource not found' });
         }
         break;
         
       case 'list':
-        result = listResources(type);
+        result = await listResources(type);
         break;
         
       case 'handle':
         if (!resourceId) {
           return res.status(400).json({ error: 'resourceId required' });
         }
-        result = handleResourceRequest(resourceId);
+        result = await handleResourceRequest(resourceId);
         break;
         
       default:
@@ -3,23 +3,34 @@
  * Replaces old bubble-search-api with production-grade search
  */
 
-const { tavilySearch, firecrawlSearch, intelligentSearch, newsSearch, researchSearch } = require('./search-providers');
+const { authorize, checkToolAccess, sendAccessDenied } = require('./mcp-auth');
+const { enforceRateLimit, limitsFor } = require('./rate-limiter');
+const { searchWith, listProviders, checkProviderHealth, firecrawlSearch, intelligentSearch, newsSearch, researchSearch } = require('./search-providers');
+const { answerWithCitations, usesModel } = require('./grounded-answer');
+const { runWorkflow, startWorkflowStream, WORKFLOWS } = require('./research-workflows');
+const { federatedSearch } = require('./federated-search');
+const { crawlSite } = require('./site-crawler');
 
 const MCP_SEARCH_TOOLS = {
-  // Tool 1: Web Search (Tavily)
+  // Tool 1: Web Search (Tavily unless another provider is chosen)
   'web_search': {
     description: 'Search the web using Tavily - optimized for LLMs',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
-        query: { type: 'string', description: 'Search query' },
+        query: { type: 'string', description: 'Search query; supports site:, -site:, -term, "phrase", filetype:, after: and before:' },
         maxResults: { type: 'integer', description: 'Max results (1-20)' },
         depth: { type: 'string', enum: ['basic', 'advanced'] },
+        provider: { type: 'string', description: 'Search provider name (see search_providers)' },
+        capability: { type: 'string', description: 'Use the best configured provider with this capability', default: 'web' },
       },
       required: ['query'],
     },
     execute: async (input) => {
-      return await tavilySearch(input.query, {
+      return await searchWith(input.query, {
+        provider: input.provider,
+        capability: input.capability || 'web',
         maxResults: input.maxResults || 10,
         depth: input.depth || 'basic',
       });
@@ -29,22 +40,25 @@ const MCP_SEARCH_TOOLS = {
   // Tool 2: News Search
   'news_search': {
     description: 'Search for latest news using Tavily',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
         query: { type: 'string', description: 'News search query' },
         maxResults: { type: 'integer', description: 'Max results' },
+        provider: { type: 'string', description: 'Search provider name (must support news)' },
       },
       required: ['query'],
     },
     execute: async (input) => {
-      return await newsSearch(input.query, { maxResults: input.maxResults || 10 });
+      return await newsSearch(input.query, { maxResults: input.maxResults || 10, provider: input.provider });
     },
   },
 
   // Tool 3: Deep Research (Tavily + Firecrawl)
   'deep_research': {
     description: 'Deep research with full page content extraction',
+    scope: 'scrape',
     inputSchema: {
       type: 'object',
       properties: {
@@ -53,14 +67,15 @@ const MCP_SEARCH_TOOLS = {
       },
       required: ['query'],
     },
-    execute: async (input) => {
-      return await researchSearch(input.query, { depth: input.depth || 'advanced' });
+    execute: async (input, clientId, { onProgress } = {}) => {
+      return await researchSearch(input.query, { depth: input.depth || 'advanced', onProgress });
     },
   },
 
-  // Tool 4: Scrape URL (Firecrawl)
+  // Tool 4: Scrape URL (Firecrawl, local extractor fallback)
   'scrape_url': {
-    description: 'Extract content from a specific URL using Firecrawl',
+    description: 'Extract the main content of a URL as Markdown (Firecrawl, or the local extractor without a key)',
+    scope: 'scrape',
     inputSchema: {
       type: 'object',
       properties: {
@@ -74,19 +89,159 @@ const MCP_SEARCH_TOOLS = {
     },
   },
 
-  // Tool 5: Intelligent Search (Auto-routing)
+  // Tool 5: Crawl Site (bounded multi-page scrape)
+  'crawl_site': {
+    description: 'Crawl a site from a seed URL within depth, page and path limits; returns per-page Markdown and registers each page as a resource://page/... resource',
+    scope: 'scrape',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Seed URL' },
+        maxDepth: { type: 'integer', description: 'Link hops from the seed (0-5)', default: 2 },
+        maxPages: { type: 'integer', description: 'Pages to fetch (1-50)', default: 10 },
+        include: { type: 'array', items: { type: 'string' }, description: 'Path patterns to follow, e.g. ["/docs/*"]' },
+        exclude: { type: 'array', items: { type: 'string' }, description: 'Path patterns to skip, e.g. ["*/changelog*"]' },
+        sameDomain: { type: 'boolean', description: 'Stay on the seed URL\'s domain', default: true },
+        includeContent: { type: 'boolean', description: 'Return each page\'s Markdown (it is always stored as a resource)', default: true },
+      },
+      required: ['url'],
+    },
+    execute: async (input, clientId, { onProgress } = {}) => {
+      return await crawlSite(input.url, {
+        maxDepth: input.maxDepth,
+        maxPages: input.maxPages,
+        include: input.include || [],
+        exclude: input.exclude || [],
+        sameDomain: input.sameDomain !== false,
+        includeContent: input.includeContent !== false,
+        onProgress,
+      });
+    },
+  },
+
+  // Tool 6: Intelligent Search (Auto-routing)
   'intelligent_search': {
     description: 'AI-powered search that routes between Tavily and Firecrawl',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
         query: { type: 'string', description: 'Search query' },
         includeFullContent: { type: 'boolean', description: 'Extract full page content' },
+        provider: { type: 'string', description: 'Search provider name (default: best configured web provider)' },
       },
       required: ['query'],
     },
+    execute: async (input, clientId, { onProgress } = {}) => {
+      return await intelligentSearch(input.query, { includeContent: input.includeFullContent, provider: input.provider, onProgress });
+    },
+  },
+
+  // Tool 7: Federated Search (several providers, rank fusion)
+  'federated_search': {
+    description: 'Query several search providers in parallel and merge their results with reciprocal rank fusion, deduplicated by canonical URL',
+    scope: 'search',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        providers: { type: 'array', items: { type: 'string' }, description: 'Provider names (default: tavily, bubble, orchestrator when configured)' },
+        maxResults: { type: 'integer', description: 'Merged results to return (1-50)', default: 10 },
+        perProvider: { type: 'integer', description: 'Results requested from each provider', default: 10 },
+        k: { type: 'integer', description: 'Reciprocal rank fusion constant', default: 60 },
+        weights: { type: 'object', description: 'Per-provider weight, e.g. { "tavily": 2 }' },
+      },
+      required: ['query'],
+    },
+    execute: async (input, clientId, { onProgress } = {}) => {
+      return await federatedSearch(input.query, {
+        providers: input.providers,
+        maxResults: input.maxResults || 10,
+        perProvider: input.perProvider || 10,
+        k: input.k || undefined,
+        weights: input.weights,
+        onProgress,
+      });
+    },
+  },
+
+  // Tool 8: Answer with Citations (search + LLM or extractive)
+  'answer_with_citations': {
+    description: 'Answer a question from the top search results with numbered inline citations mapped to source URLs',
+    scope: 'search',
+    // Generating with the LLM is a chat call and full content is a scrape
+    scopesFor: input => [
+      ...(usesModel(input.mode) ? ['chat'] : []),
+      ...(input.includeFullContent !== false ? ['scrape'] : []),
+    ],
+    limitsFor: input => (usesModel(input.mode) ? ['chat'] : []),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Question to answer' },
+        maxSources: { type: 'integer', description: 'Number of top results to use (1-10)', default: 5 },
+        includeFullContent: { type: 'boolean', description: 'Use full page content (Firecrawl or the local extractor)', default: true },
+        mode: { type: 'string', enum: ['auto', 'llm', 'extractive'], default: 'auto' },
+        provider: { type: 'string', enum: ['gemini', 'openrouter', 'free'], description: 'Preferred LLM provider' },
+      },
+      required: ['query'],
+    },
+    execute: async (input, clientId, { onProgress } = {}) => {
+      return await answerWithCitations(input.query, {
+        maxSources: input.maxSources || 5,
+        includeContent: input.includeFullContent !== false,
+        mode: input.mode || 'auto',
+        provider: input.provider,
+        onProgress,
+      });
+    },
+  },
+
+  // Tool 9: Research Workflow (one search per step, compiled)
+  'run_workflow': {
+    description: 'Run a multi-step research workflow: one search per step, sources deduplicated across steps, compiled into one cited result',
+    scope: 'scrape',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Research topic' },
+        workflow: { type: 'string', enum: Object.keys(WORKFLOWS), default: 'deep_research' },
+        includeFullContent: { type: 'boolean', description: 'Extract full page content for each step', default: false },
+        maxSourcesPerStep: { type: 'integer', description: 'Results kept per step (1-10)', default: 5 },
+        stream: { type: 'boolean', description: 'Return a streamId at once and deliver steps through /api/streaming', default: false },
+      },
+      required: ['query'],
+    },
+    execute: async (input, clientId, { onProgress } = {}) => {
+      const workflow = input.workflow || 'deep_research';
+      const options = {
+        includeContent: input.includeFullContent === true,
+        maxSourcesPerStep: input.maxSourcesPerStep || 5,
+      };
+      if (input.stream) {
+        const streamId = startWorkflowStream(workflow, input.query, clientId, options);
+        return { workflow, streamId, subscribe: `/api/streaming?action=subscribe&streamId=${streamId}` };
+      }
+      return await runWorkflow(workflow, input.query, { ...options, onProgress });
+    },
+  },
+
+  // Tool 10: Search Providers (registry listing + health)
+  'search_providers': {
+    description: 'List registered search providers with capabilities, cost and health',
+    scope: 'search',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        capability: { type: 'string', description: 'Only providers with this capability' },
+        checkHealth: { type: 'boolean', description: 'Run active health checks', default: false },
+      },
+    },
     execute: async (input) => {
-      return await intelligentSearch(input.query, { includeContent: input.includeFullContent });
+      const providers = listProviders({ capability: input.capability });
+      if (!input.checkHealth) return { providers };
+      const health = await checkProviderHealth();
+      return { providers: providers.map(provider => ({ ...provider, ...health[provider.name] })) };
     },
   },
 };
@@ -95,12 +250,15 @@ const MCP_SEARCH_TOOLS = {
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Content-Type', 'application/json');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
 
-  const { action, input, clientId = 'anonymous' } = req.body || req.query;
+  const auth = await authorize(req, res);
+  if (!auth) return;
+
+  const { action, input } = req.body || req.query;
 
   if (!action || !MCP_SEARCH_TOOLS[action]) {
     return res.status(400).json({
@@ -109,9 +267,13 @@ module.exports = async (req, res) => {
     });
   }
 
+  const tool = MCP_SEARCH_TOOLS[action];
+  const denied = await checkToolAccess(auth, tool, input || {});
+  if (denied) return sendAccessDenied(res, denied);
+  if (!(await enforceRateLimit(res, auth.clientId, limitsFor(action, tool, input || {})))) return;
+
   try {
-    const tool = MCP_SEARCH_TOOLS[action];
-    const result = await tool.execute(input || {});
+    const result = await tool.execute(input || {}, auth.clientId);
     return res.status(200).json({
       success: true,
       action,
@@ -4,138 +4,80 @@
  * Features: Real-time search, caching, streaming, rate limiting
  */
 
-const SEARCH_API = 'https://bubble-search-api.vercel.app/api/search';
-const CACHE_TTL = 300000; // 5 minutes
-const RATE_LIMIT = 100; // requests per 10 minutes
+const { authorize, checkToolAccess, sendAccessDenied } = require('./mcp-auth');
+const { enforceRateLimit, limitsFor } = require('./rate-limiter');
+const searchCache = require('./search-cache');
+const { searchWith } = require('./search-providers');
+const { searchLocal, getIndexStats } = require('./local-index');
+const { searchVectors, getVectorStats } = require('./vector-index');
+const { listEmbeddingProviders } = require('./embeddings');
+const { analyzeQuery } = require('./query-analysis');
+
 const MAX_RESULTS = 20;
 const STREAMING_ENABLED = true;
 
-// ============= IN-MEMORY CACHES =============
-const queryCache = new Map();
-const rateLimitTracker = {};
-const indexedPages = new Map();
-const semanticIndex = new Map();
-
-// ============= RATE LIMITING =============
-function checkRateLimit(clientId) {
-  const now = Date.now();
-  const windowStart = now - 600000; // 10 minute window
-  
-  if (!rateLimitTracker[clientId]) {
-    rateLimitTracker[clientId] = [];
-  }
-  
-  // Clean old requests
-  rateLimitTracker[clientId] = rateLimitTracker[clientId].filter(t => t > windowStart);
-  
-  if (rateLimitTracker[clientId].length >= RATE_LIMIT) {
-    return { allowed: false, remaining: 0, resetAt: rateLimitTracker[clientId][0] + 600000 };
-  }
-  
-  rateLimitTracker[clientId].push(now);
-  return { allowed: true, remaining: RATE_LIMIT - rateLimitTracker[clientId].length, resetAt: now + 600000 };
-}
-
 // ============= SEMANTIC ANALYSIS =============
-function analyzeSemantics(query) {
-  const keywords = query.toLowerCase().split(/\\s+/).filter(w => w.length > 2);
-  const intent = detectIntent(query);
-  const category = detectCategory(keywords);
-  
-  return { keywords, intent, category, raw: query };
-}
-
-function detectIntent(query) {
-  const q = query.toLowerCase();
-  if (q.match(/(how|why|what|when|where|who)/)) return 'question';
-  if (q.match(/(find|search|look|locate)/)) return 'search';
-  if (q.match(/(latest|new|recent|today)/)) return 'current';
-  if (q.match(/(best|top|rank|compare)/)) return 'ranking';
-  return 'general';
-}
+// Terms semantic_search adds for the top intent, unless the query already has them
+const INTENT_EXPANSIONS = {
+  'howto': ['tutorial', 'guide'],
+  'comparison': ['comparison'],
+  'ranking': ['best', 'comparison'],
+};
 
-function detectCategory(keywords) {
-  const categories = {
-    'tech': ['javascript', 'python', 'react', 'nodejs', 'code', 'programming', 'api', 'database'],
-    'ai': ['ai', 'machine', 'learning', 'model', 'neural', 'llm', 'gpt'],
-    'business': ['startup', 'business', 'marketing', 'sales', 'growth', 'vc', 'funding'],
-    'news': ['news', 'breaking', 'today', 'current', 'latest', 'happening'],
-    'gaming': ['game', 'roblox', 'minecraft', 'unity', 'unreal', 'steam', 'esports'],
-  };
-  
-  for (const [cat, words] of Object.entries(categories)) {
-    if (keywords.some(k => words.includes(k))) return cat;
-  }
-  return 'general';
+function enhanceQuery(analysis) {
+  const present = new Set(analysis.keywords);
+  const extra = (INTENT_EXPANSIONS[analysis.intent] || []).filter(word => !present.has(word));
+  return [analysis.rewrittenQuery, ...extra].join(' ');
 }
 
 // ============= SEARCH WITH CACHING =============
+// Caching and coalescing happen in the provider (search-registry + search-cache),
+// which also feeds the local BM25 index behind search_local
 async function searchQuery(query, clientId, options = {}) {
-  const cacheKey = query.toLowerCase().trim();
-  const semantics = analyzeSemantics(query);
-  
-  // Check cache
-  if (queryCache.has(cacheKey)) {
-    const cached = queryCache.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_TTL) {
-      return {
-        ...cached,
-        source: 'cache',
-        cacheAge: Date.now() - cached.timestamp,
-      };
-    }
-  }
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || MAX_RESULTS, 1), MAX_RESULTS);
+  const semantics = analyzeQuery(query);
   
   try {
-    // Call bubble-search-api
-    const response = await fetch(`${SEARCH_API}?query=${encodeURIComponent(query)}&limit=${MAX_RESULTS}`);
-    const data = await response.json();
-    
-    if (!data.success) throw new Error(data.error);
-    
-    const results = data.results.map((r, idx) => ({
-      id: `${cacheKey}_${idx}`,
-      title: r.title,
-      url: r.url,
-      snippet: r.snippet,
-      relevance: (MAX_RESULTS - idx) / MAX_RESULTS, // Simple relevance scoring
-      domain: new URL(r.url).hostname,
-    }));
-    
-    // Index and cache
-    const cacheEntry = {
-      query,
-      results,
-      timestamp: Date.now(),
-      semantics,
-      clientId,
-      hitCount: 0,
-    };
+    const response = await searchWith(query, {
+      provider: options.provider || 'bubble',
+      maxResults: limit,
+    });
+    if (!response.success) throw new Error(response.error);
     
-    queryCache.set(cacheKey, cacheEntry);
+    const { cached, stale, cacheAge, coalesced, ...value } = response;
+    const results = value.results.slice(0, limit);
     
-    // Add to semantic index
-    for (const keyword of semantics.keywords) {
-      if (!semanticIndex.has(keyword)) {
-        semanticIndex.set(keyword, []);
-      }
-      semanticIndex.get(keyword).push(cacheKey);
+    if (cached) {
+      return {
+        ...value,
+        results,
+        semantics,
+        source: 'cache',
+        stale,
+        cacheAge,
+      };
     }
     
-    // Cleanup cache if too large
-    if (queryCache.size > 1000) {
-      const oldest = Array.from(queryCache.entries())
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)[0];
-      queryCache.delete(oldest[0]);
+    if (coalesced) {
+      return {
+        query,
+        provider: response.provider,
+        results,
+        source: 'coalesced',
+        count: results.length,
+        semantics,
+        timestamp: value.timestamp || Date.now(),
+      };
     }
     
     return {
       query,
+      provider: response.provider,
       results,
       source: 'live',
       count: results.length,
       semantics,
-      timestamp: Date.now(),
+      timestamp: value.timestamp || Date.now(),
     };
   } catch (error) {
     console.error('[MCP-ERROR]', error.message);
@@ -154,28 +96,25 @@ const MCP_TOOLS = {
   // Tool 1: Web Search
   'web_search': {
     description: 'Search the web using Bubble Search API with semantic understanding',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
         query: { type: 'string', description: 'Search query' },
         limit: { type: 'integer', description: 'Number of results (1-20)' },
+        provider: { type: 'string', description: 'Search provider name (default: bubble)' },
       },
       required: ['query'],
     },
     execute: async (input, clientId) => {
-      const rateLimitResult = checkRateLimit(clientId);
-      if (!rateLimitResult.allowed) {
-        return { error: 'Rate limit exceeded', ...rateLimitResult };
-      }
-      
-      const result = await searchQuery(input.query, clientId, { limit: input.limit || MAX_RESULTS });
-      return { ...result, rateLimit: rateLimitResult };
+      return await searchQuery(input.query, clientId, { limit: input.limit || MAX_RESULTS, provider: input.provider });
     },
   },
   
   // Tool 2: Semantic Query (understands intent)
   'semantic_search': {
-    description: 'Search with semantic understanding of user intent and query category',
+    description: 'Search with semantic understanding: intents with confidence, entities, category and time sensitivity (relative dates resolved against today)',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
@@ -184,71 +123,133 @@ const MCP_TOOLS = {
       required: ['query'],
     },
     execute: async (input, clientId) => {
-      const semantics = analyzeSemantics(input.query);
-      // Enhance query based on intent
-      let enhancedQuery = input.query;
-      
-      if (semantics.intent === 'current') {
-        enhancedQuery += ' 2025 latest';
-      } else if (semantics.intent === 'question') {
-        enhancedQuery += ' tutorial guide';
-      } else if (semantics.intent === 'ranking') {
-        enhancedQuery += ' best comparison';
-      }
+      // Relative dates resolved against today, plus terms for the top intent
+      const semantics = analyzeQuery(input.query);
+      const enhancedQuery = enhanceQuery(semantics);
       
       const result = await searchQuery(enhancedQuery, clientId);
-      return { ...result, semanticAnalysis: semantics };
+      return { ...result, enhancedQuery, semanticAnalysis: semantics };
     },
   },
   
   // Tool 3: Cached Results Lookup
   'get_cached_results': {
     description: 'Get previously cached search results without hitting the API',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {
         query: { type: 'string', description: 'Original search query' },
+        provider: { type: 'string', description: 'Only results from this provider (e.g. bubble, tavily)' },
+        limit: { type: 'integer', description: 'Only results cached for this limit' },
+        depth: { type: 'string', description: 'Only results cached for this search depth' },
+        topic: { type: 'string', description: 'Only results cached for this topic' },
       },
       required: ['query'],
     },
     execute: async (input) => {
-      const cacheKey = input.query.toLowerCase().trim();
-      const cached = queryCache.get(cacheKey);
+      const { query, ...filters } = input;
+      const entries = await searchCache.lookup(query, filters);
       
-      if (!cached) {
+      if (entries.length === 0) {
         return { found: false, message: 'No cached results for this query' };
       }
       
-      cached.hitCount++;
+      // Most recent variant first; the others are listed for reference
+      const [latest] = entries;
       return {
         found: true,
-        ...cached,
-        age: Date.now() - cached.timestamp,
-        isStale: Date.now() - cached.timestamp > CACHE_TTL,
+        query: latest.query,
+        provider: latest.provider,
+        options: latest.options,
+        ...latest.value,
+        timestamp: latest.storedAt,
+        hitCount: latest.hitCount,
+        age: latest.age,
+        isStale: latest.isStale,
+        variants: entries.map(entry => ({
+          provider: entry.provider,
+          options: entry.options,
+          age: entry.age,
+          isStale: entry.isStale,
+          hitCount: entry.hitCount,
+        })),
       };
     },
   },
   
-  // Tool 4: Cache Status
+  // Tool 4: Local Search (BM25 over fetched results and resources)
+  'search_local': {
+    description: 'Full-text search (BM25) over already fetched search results and stored resources, without any upstream call',
+    scope: 'search',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        limit: { type: 'integer', description: 'Number of results (1-50)', default: 10 },
+        type: { type: 'string', enum: ['result', 'resource'], description: 'Only search results or only resources' },
+        domain: { type: 'string', description: 'Only results from this domain' },
+      },
+      required: ['query'],
+    },
+    execute: async (input) => {
+      return await searchLocal(input.query, { limit: input.limit || 10, type: input.type, domain: input.domain });
+    },
+  },
+  
+  // Tool 5: Passage Retrieval (embeddings, cosine top-k)
+  'retrieve_passages': {
+    description: 'Retrieve passages from scraped pages and stored resources by meaning (embedding similarity), with optional metadata filters',
+    scope: 'search',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What the passages should be about' },
+        topK: { type: 'integer', description: 'Number of passages (1-50)', default: 5 },
+        filter: { type: 'object', description: 'Metadata filters, e.g. { "type": "page", "domain": ["a.com", "b.com"] } or { "docId": "resource://page/..." }' },
+        minScore: { type: 'number', description: 'Minimum cosine similarity (-1 to 1)', default: 0 },
+        maxPerDocument: { type: 'integer', description: 'At most this many passages from one document' },
+      },
+      required: ['query'],
+    },
+    execute: async (input) => {
+      return await searchVectors(input.query, {
+        topK: input.topK || 5,
+        filter: input.filter || {},
+        minScore: input.minScore || 0,
+        maxPerDocument: input.maxPerDocument,
+      });
+    },
+  },
+  
+  // Tool 6: Cache Status
   'cache_status': {
     description: 'Get cache statistics and performance metrics',
+    scope: 'search',
     inputSchema: {
       type: 'object',
       properties: {},
     },
     execute: async () => {
-      const entries = Array.from(queryCache.entries());
-      const totalHits = entries.reduce((sum, e) => sum + e[1].hitCount, 0);
-      const avgAge = entries.length > 0
-        ? entries.reduce((sum, e) => sum + (Date.now() - e[1].timestamp), 0) / entries.length
-        : 0;
+      const stats = await searchCache.getStats();
       
       return {
-        cachedQueries: queryCache.size,
-        semanticKeywords: semanticIndex.size,
-        totalCacheHits: totalHits,
-        averageAge: Math.round(avgAge / 1000) + 's',
-        memoryUsage: `${(JSON.stringify(queryCache).length / 1024).toFixed(2)} KB`,
+        cachedQueries: stats.entries,
+        staleEntries: stats.staleEntries,
+        providers: stats.providers,
+        localIndex: await getIndexStats(),
+        vectorIndex: { ...(await getVectorStats()), embeddingProviders: listEmbeddingProviders() },
+        totalCacheHits: stats.hits + stats.staleHits,
+        staleHits: stats.staleHits,
+        misses: stats.misses,
+        hitRate: stats.hitRate,
+        revalidations: stats.revalidations,
+        evictions: stats.evictions,
+        coalescedRequests: stats.coalesced,
+        inFlightSearches: stats.inFlight,
+        averageAge: Math.round(stats.averageAge / 1000) + 's',
+        memoryUsage: `${(stats.bytes / 1024).toFixed(2)} KB`,
+        maxMemory: `${(stats.maxBytes / 1024).toFixed(2)} KB`,
       };
     },
   },
@@ -263,7 +264,10 @@ module.exports = async (req, res) => {
   
   if (req.method === 'OPTIONS') return res.status(200).end();
   
-  const { action, input, clientId = 'anonymous' } = req.body || req.query;
+  const auth = await authorize(req, res);
+  if (!auth) return;
+  
+  const { action, input } = req.body || req.query;
   
   if (!action || !MCP_TOOLS[action]) {
     return res.status(400).json({
@@ -272,9 +276,13 @@ module.exports = async (req, res) => {
     });
   }
   
+  const tool = MCP_TOOLS[action];
+  const denied = await checkToolAccess(auth, tool, input || {});
+  if (denied) return sendAccessDenied(res, denied);
+  if (!(await enforceRateLimit(res, auth.clientId, limitsFor(action, tool, input || {})))) return;
+  
   try {
-    const tool = MCP_TOOLS[action];
-    const result = await tool.execute(input || {}, clientId);
+    const result = await tool.execute(input || {}, auth.clientId);
     return res.status(200).json({
       success: true,
       action,
@@ -289,3 +297,5 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+module.exports.MCP_TOOLS = MCP_TOOLS;
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * MCP STDIO TRANSPORT - Run the backend as a local MCP server process
+ * Newline-delimited JSON-RPC on stdin/stdout for desktop MCP clients.
+ * stdout carries protocol messages only; all logging goes to stderr.
+ */
+
+// ============= LOGGING → STDERR =============
+// Must run before any module is loaded so their console output
+// never lands on the protocol stream.
+for (const level of ['log', 'info', 'debug', 'warn']) {
+  console[level] = (...args) => console.error(...args);
+}
+
+const readline = require('readline');
+const { handlePayload, parseErrorResponse } = require('./mcp-protocol');
+
+const STDIO_CLIENT_ID = process.env.MCP_STDIO_CLIENT_ID || 'stdio';
+
+// The local process owner launched this server, so it gets every scope
+const STDIO_AUTH = { clientId: STDIO_CLIENT_ID, scopes: ['*'], method: 'stdio' };
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+async function handleLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(trimmed);
+  } catch (error) {
+    send(parseErrorResponse(`Parse error: ${error.message}`));
+    return;
+  }
+
+  try {
+    const response = await handlePayload(payload, { clientId: STDIO_CLIENT_ID, auth: STDIO_AUTH, notify: send });
+    if (response !== null) send(response);
+  } catch (error) {
+    console.error('[MCP-STDIO ERROR]', error);
+  }
+}
+
+// ============= MAIN LOOP =============
+function start() {
+  const pending = new Set();
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+  rl.on('line', (line) => {
+    const task = handleLine(line).finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  rl.on('close', async () => {
+    await Promise.all(pending);
+    process.exit(0);
+  });
+
+  console.error(`[MCP-STDIO] Bubble AI MCP server ready on stdio (client: ${STDIO_CLIENT_ID})`);
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start, handleLine };
@@ -3,8 +3,27 @@
  * Server-Sent Events (SSE) for live search updates
  */
 
+const { authorize, hasScope, sendAuthError } = require('./mcp-auth');
+const { enforceRateLimit } = require('./rate-limiter');
+const { createStore } = require('./storage');
+
+// Streams produced by this instance (with their in-process listeners)
 const activeStreams = new Map();
-const streamMetrics = { active: 0, total: 0, chunksStreamed: 0 };
+// Serializable snapshots + metrics, shared so any instance can serve a stream
+const streamStore = createStore('streams');
+const STREAM_TTL = 600000; // 10 minutes
+const POLL_INTERVAL = 500;
+
+function persistStream(stream) {
+  const { listeners, ...snapshot } = stream;
+  streamStore.set(`stream:${stream.id}`, snapshot, STREAM_TTL)
+    .catch(error => console.error('[STREAMING] Persist failed:', error.message));
+}
+
+function countMetric(name, by = 1) {
+  streamStore.incr(`metrics:${name}`, by)
+    .catch(error => console.error('[STREAMING] Metrics failed:', error.message));
+}
 
 // ============= CREATE STREAM =============
 function createStream(clientId, query) {
@@ -20,8 +39,9 @@ function createStream(clientId, query) {
   };
   
   activeStreams.set(streamId, stream);
-  streamMetrics.active++;
-  streamMetrics.total++;
+  persistStream(stream);
+  countMetric('active');
+  countMetric('total');
   
   return streamId;
 }
@@ -38,7 +58,8 @@ function streamChunk(streamId, data, chunkType = 'data') {
   };
   
   stream.chunks.push(chunk);
-  streamMetrics.chunksStreamed++;
+  persistStream(stream);
+  countMetric('chunksStreamed');
   
   // Notify listeners
   stream.listeners.forEach(callback => {
@@ -53,39 +74,55 @@ function closeStream(streamId, reason = 'complete') {
   const stream = activeStreams.get(streamId);
   if (!stream) return false;
   
+  if (stream.status === 'closed') return false;
+  
   stream.status = 'closed';
   stream.closedAt = Date.now();
   stream.closeReason = reason;
-  streamMetrics.active--;
+  persistStream(stream);
+  countMetric('active', -1);
   
-  // Keep history for 5 minutes
-  setTimeout(() => activeStreams.delete(streamId), 300000);
+  // Keep local history for 5 minutes; storage keeps the snapshot until its TTL
+  setTimeout(() => activeStreams.delete(streamId), 300000).unref();
   
   return true;
 }
 
 // ============= GET STREAM =============
-function getStream(streamId) {
-  return activeStreams.get(streamId);
+// Local streams first, then snapshots written by other instances
+async function getStream(streamId) {
+  if (!streamId) return null;
+  const local = activeStreams.get(streamId);
+  if (local) {
+    const { listeners, ...snapshot } = local;
+    return snapshot;
+  }
+  return streamStore.get(`stream:${streamId}`);
 }
 
 // ============= SUBSCRIBE TO STREAM =============
 function subscribeStream(streamId, callback) {
-  const stream = getStream(streamId);
+  const stream = activeStreams.get(streamId);
   if (!stream) return false;
   
   stream.listeners.push(callback);
   return true;
 }
 
+// ============= SSE FRAMING =============
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
 // ============= SSE HANDLER =============
-function handleSSE(req, res, streamId) {
+async function handleSSE(req, res, streamId) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('Access-Control-Allow-Origin', '*');
   
-  const stream = getStream(streamId);
+  const stream = await getStream(streamId);
   if (!stream) {
     res.write(`data: ${JSON.stringify({ error: 'Stream not found' })}\n\n`);
     res.end();
@@ -93,22 +130,45 @@ function handleSSE(req, res, streamId) {
   }
   
   // Send existing chunks
-  stream.chunks.forEach(chunk => {
-    res.write(`event: ${chunk.type}\n`);
-    res.write(`data: ${JSON.stringify(chunk.data)}\n\n`);
-  });
+  stream.chunks.forEach(chunk => writeSSE(res, chunk.type, chunk.data));
   
-  // Subscribe to new chunks
-  const listener = (chunk) => {
-    res.write(`event: ${chunk.type}\n`);
-    res.write(`data: ${JSON.stringify(chunk.data)}\n\n`);
-  };
+  if (activeStreams.has(streamId)) {
+    // Subscribe to new chunks
+    const listener = (chunk) => writeSSE(res, chunk.type, chunk.data);
+    
+    subscribeStream(streamId, listener);
+    
+    // Handle client disconnect
+    req.on('close', () => {
+      closeStream(streamId, 'client_disconnect');
+      res.end();
+    });
+    return;
+  }
   
-  subscribeStream(streamId, listener);
+  // Stream produced by another instance: follow its stored snapshot
+  if (stream.status === 'closed') {
+    res.end();
+    return;
+  }
+  
+  let sent = stream.chunks.length;
+  const timer = setInterval(async () => {
+    try {
+      const latest = await streamStore.get(`stream:${streamId}`);
+      (latest?.chunks || []).slice(sent).forEach(chunk => writeSSE(res, chunk.type, chunk.data));
+      sent = latest?.chunks.length || sent;
+      if (!latest || latest.status === 'closed') {
+        clearInterval(timer);
+        res.end();
+      }
+    } catch (error) {
+      console.error('[STREAMING] Poll failed:', error.message);
+    }
+  }, POLL_INTERVAL);
   
-  // Handle client disconnect
   req.on('close', () => {
-    closeStream(streamId, 'client_disconnect');
+    clearInterval(timer);
     res.end();
   });
 }
@@ -171,10 +231,15 @@ async function streamSearch(query, clientId) {
 }
 
 // ============= METRICS =============
-function getMetrics() {
+async function getMetrics() {
+  const counter = async name => Number((await streamStore.get(`metrics:${name}`)) || 0);
+  const streams = await streamStore.entries('stream:');
+  
   return {
-    ...streamMetrics,
-    streams: Array.from(activeStreams.values()).map(s => ({
+    active: await counter('active'),
+    total: await counter('total'),
+    chunksStreamed: await counter('chunksStreamed'),
+    streams: streams.map(([, s]) => ({
       id: s.id,
       status: s.status,
       chunkCount: s.chunks.length,
@@ -185,16 +250,26 @@ function getMetrics() {
 
 // ============= API HANDLER =============
 module.exports = async (req, res) => {
-  const { action, streamId, query, clientId } = req.query || req.body;
+  const { action, streamId, query } = req.query || req.body;
+  
+  const auth = await authorize(req, res, action === 'metrics' ? 'analytics:read' : 'search');
+  if (!auth) return;
+  
+  // Streams are only visible to the client that created them
+  const owned = await getStream(streamId);
+  if (owned && owned.clientId !== auth.clientId && !hasScope(auth, 'admin')) {
+    return sendAuthError(res, 403, 'forbidden', 'Stream belongs to another client');
+  }
   
   try {
     switch (action) {
       case 'create':
-        const newStreamId = await streamSearch(query, clientId || 'anonymous');
+        if (!(await enforceRateLimit(res, auth.clientId, 'stream_search'))) return;
+        const newStreamId = await streamSearch(query, auth.clientId);
         return res.status(200).json({ success: true, streamId: newStreamId });
         
       case 'get':
-        const stream = getStream(streamId);
+        const stream = await getStream(streamId);
         return res.status(stream ? 200 : 404).json({ success: !!stream, stream });
         
       case 'close':
@@ -202,10 +277,10 @@ module.exports = async (req, res) => {
         return res.status(200).json({ success: true });
         
       case 'metrics':
-        return res.status(200).json({ success: true, metrics: getMetrics() });
+        return res.status(200).json({ success: true, metrics: await getMetrics() });
         
       case 'subscribe':
-        handleSSE(req, res, streamId);
+        await handleSSE(req, res, streamId);
         return;
         
       default:
@@ -219,5 +294,8 @@ module.exports = async (req, res) => {
 module.exports.createStream = createStream;
 module.exports.streamChunk = streamChunk;
 module.exports.closeStream = closeStream;
+module.exports.getStream = getStream;
+module.exports.subscribeStream = subscribeStream;
+module.exports.writeSSE = writeSSE;
 module.exports.streamSearch = streamSearch;
 module.exports.getMetrics = getMetrics;
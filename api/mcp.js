@@ -0,0 +1,183 @@
+/**
+ * MCP ENDPOINT - Streamable HTTP transport for JSON-RPC 2.0
+ * Single POST endpoint answering with JSON or an SSE stream,
+ * Mcp-Session-Id session handling and progress notifications.
+ */
+
+const { handlePayload, parseErrorResponse, ERROR_CODES } = require('./mcp-protocol');
+const { writeSSE } = require('./mcp-streaming');
+const { authorize, sendAuthError } = require('./mcp-auth');
+const { applyRateLimitHeaders } = require('./rate-limiter');
+const { createStore } = require('./storage');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const SESSION_TTL = 1800000; // 30 minutes idle
+
+// Shared so a session survives being routed to another instance; the TTL is
+// refreshed on every request, so idle sessions expire on their own
+const sessions = createStore('sessions');
+
+// ============= SESSIONS =============
+async function createSession(clientId) {
+  const session = {
+    id: `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`,
+    clientId,
+    created: Date.now(),
+    lastSeen: Date.now(),
+  };
+  await sessions.set(session.id, session, SESSION_TTL);
+  return session;
+}
+
+function getSessionId(req) {
+  const value = req.headers[SESSION_HEADER.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// ============= HELPERS =============
+function readBody(req) {
+  if (req.body !== undefined && req.body !== null && req.body !== '') {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+  return undefined;
+}
+
+function asMessages(payload) {
+  return Array.isArray(payload) ? payload : [payload];
+}
+
+function isRequest(message) {
+  return message && typeof message.method === 'string' && message.id !== undefined;
+}
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function sendError(res, status, code, message) {
+  return res.status(status).json({ jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+// ============= SSE RESPONSE =============
+// Requests that may run for a while (tool calls) are answered over SSE so
+// progress notifications can be delivered before the final response. Frames
+// go straight to this response; nothing is kept in the /api/streaming store.
+async function respondWithStream(req, res, payload, context) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  if (res.flushHeaders) res.flushHeaders();
+
+  let open = true;
+  req.on('close', () => { open = false; });
+  const send = (message) => {
+    if (open) writeSSE(res, 'message', message);
+  };
+
+  try {
+    const response = await handlePayload(payload, { ...context, notify: send });
+    if (response !== null) send(response);
+  } catch (error) {
+    console.error('[MCP-ENDPOINT ERROR]', error);
+    send({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: ERROR_CODES.INTERNAL_ERROR, message: error.message },
+    });
+  }
+
+  res.end();
+}
+
+// ============= API HANDLER =============
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Authorization, X-API-Key, Accept, ${SESSION_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', SESSION_HEADER);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const auth = await authorize(req, res);
+  if (!auth) return;
+
+  const sessionId = getSessionId(req);
+
+  // Session termination
+  if (req.method === 'DELETE') {
+    if (!sessionId) return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Bad Request: ${SESSION_HEADER} header required`);
+    const existing = await sessions.get(sessionId);
+    if (!existing) return sendError(res, 404, ERROR_CODES.INVALID_REQUEST, 'Session not found');
+    if (existing.clientId !== auth.clientId) return sendAuthError(res, 403, 'forbidden', 'Session belongs to another client');
+    await sessions.delete(sessionId);
+    return res.status(200).json({ success: true, terminated: sessionId });
+  }
+
+  // No server-initiated stream: every message is answered on its own POST
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, DELETE, OPTIONS');
+    return res.status(405).json({ error: 'Method not allowed', allowed: ['POST', 'DELETE'] });
+  }
+
+  let payload;
+  try {
+    payload = readBody(req);
+  } catch (error) {
+    return res.status(400).json(parseErrorResponse(`Parse error: ${error.message}`));
+  }
+
+  if (payload === undefined) {
+    return res.status(400).json(parseErrorResponse('Parse error: empty body'));
+  }
+
+  const messages = asMessages(payload);
+  const initializing = messages.some(message => message?.method === 'initialize');
+  let session;
+
+  if (initializing) {
+    session = await createSession(auth.clientId);
+    res.setHeader(SESSION_HEADER, session.id);
+  } else {
+    if (!sessionId) return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Bad Request: ${SESSION_HEADER} header required`);
+    session = await sessions.get(sessionId);
+    if (!session) return sendError(res, 404, ERROR_CODES.INVALID_REQUEST, 'Session not found');
+    if (session.clientId !== auth.clientId) return sendAuthError(res, 403, 'forbidden', 'Session belongs to another client');
+  }
+
+  session.lastSeen = Date.now();
+  await sessions.set(session.id, session, SESSION_TTL);
+  const context = { clientId: auth.clientId, auth, sessionId: session.id };
+
+  try {
+    // Notifications and client responses are only acknowledged
+    if (!messages.some(isRequest)) {
+      await handlePayload(payload, context);
+      return res.status(202).end();
+    }
+
+    const hasToolCall = messages.some(message => isRequest(message) && message.method === 'tools/call');
+    if (hasToolCall && acceptsEventStream(req)) {
+      return respondWithStream(req, res, payload, context);
+    }
+
+    const response = await handlePayload(payload, context);
+    if (response === null) return res.status(202).end();
+
+    // A single rate-limited call surfaces as a real 429 with headers
+    const rateLimit = !Array.isArray(response) && response.error?.code === ERROR_CODES.RATE_LIMITED
+      ? response.error.data?.rateLimit
+      : null;
+    if (rateLimit) {
+      applyRateLimitHeaders(res, rateLimit);
+      return res.status(429).json(response);
+    }
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error('[MCP-ENDPOINT ERROR]', error);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+};
+
+module.exports.sessions = sessions;
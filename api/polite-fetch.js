@@ -0,0 +1,284 @@
+/**
+ * POLITE FETCH - robots.txt compliance and per-host throttling
+ * Every page fetch (local extraction, crawling, Firecrawl scrapes) goes
+ * through here: robots.txt is fetched, parsed and cached per origin and
+ * checked against our user agent, and requests to one host are limited in
+ * concurrency and spaced by a minimum delay (or the site's Crawl-delay).
+ * Redirects are followed here, one hop at a time, so the address guard,
+ * robots.txt and the host throttle apply to every hop.
+ */
+
+const axios = require('axios');
+const { createStore } = require('./storage');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('./address-guard');
+
+const USER_AGENT = process.env.FETCH_USER_AGENT || 'Mozilla/5.0 (compatible; BubbleAI/1.0; +https://bubble-ai.vercel.app)';
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = (process.env.ROBOTS_USER_AGENT || 'BubbleAI').toLowerCase();
+const RESPECT_ROBOTS = process.env.RESPECT_ROBOTS_TXT !== 'false';
+const ROBOTS_CACHE_TTL = parseInt(process.env.ROBOTS_CACHE_TTL || String(24 * 60 * 60 * 1000), 10);
+const ROBOTS_ERROR_TTL = 10 * 60 * 1000;
+const ROBOTS_MAX_BYTES = 500 * 1024;
+const HOST_CONCURRENCY = parseInt(process.env.FETCH_HOST_CONCURRENCY || '2', 10);
+const HOST_DELAY = parseInt(process.env.FETCH_HOST_DELAY_MS || '1000', 10);
+const MAX_HOST_DELAY = parseInt(process.env.FETCH_MAX_HOST_DELAY_MS || '10000', 10);
+const MAX_REDIRECTS = 5;
+
+const robotsCache = createStore('robots');
+const pendingRobots = new Map();
+// host -> { active, queue, nextAt }
+const hosts = new Map();
+
+class RobotsBlockedError extends Error {
+  constructor(url) {
+    super(`Blocked by robots.txt: ${url}`);
+    this.name = 'RobotsBlockedError';
+    this.code = 'ROBOTS_BLOCKED';
+    this.status = 403;
+    this.url = url;
+  }
+}
+
+// ============= GUARDED GET =============
+const isRedirect = status => [301, 302, 303, 307, 308].includes(status);
+
+/**
+ * axios.get that checks each hop's address before requesting it and follows
+ * at most `options.maxRedirects` (default 5) redirects itself. Each hop's
+ * request runs through `options.eachHop(hopUrl, send)` (politeFetch passes
+ * withPoliteness). The response gets `finalUrl`, the URL of the last hop.
+ */
+async function guardedGet(url, options = {}) {
+  const {
+    maxRedirects = MAX_REDIRECTS,
+    validateStatus = status => status >= 200 && status < 300,
+    eachHop = (hopUrl, send) => send(),
+    ...rest
+  } = options;
+  let current = url;
+
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current);
+    const hopUrl = current;
+    const response = await eachHop(hopUrl, () => axios.get(hopUrl, {
+      ...rest,
+      headers: { 'User-Agent': USER_AGENT, ...rest.headers },
+      httpAgent,
+      httpsAgent,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    }));
+
+    if (isRedirect(response.status) && response.headers.location) {
+      if (hop >= maxRedirects) throw new Error(`Too many redirects fetching ${url}`);
+      current = new URL(response.headers.location, current).href;
+      continue;
+    }
+    if (!validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        response.config,
+        response.request,
+        response,
+      );
+    }
+    response.finalUrl = current;
+    return response;
+  }
+}
+
+// ============= ROBOTS.TXT PARSING =============
+/**
+ * Parse robots.txt into { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }.
+ * Consecutive User-agent lines share one group (RFC 9309).
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach((raw) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (group && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (group && field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// The group naming our agent, else the `*` group; several matching groups are merged
+function groupFor(robots, agent = ROBOTS_AGENT) {
+  const named = robots.groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const chosen = named.length > 0 ? named : robots.groups.filter(group => group.agents.includes('*'));
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: chosen.map(group => group.crawlDelay).find(delay => delay !== null) ?? null,
+  };
+}
+
+function ruleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith('$');
+  const source = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+// Longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+function isAllowed(robots, url, agent = ROBOTS_AGENT) {
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+  let best = null;
+
+  for (const rule of groupFor(robots, agent).rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+// ============= ROBOTS.TXT CACHE =============
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+const DISALLOW_ALL = { groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], sitemaps: [] };
+
+async function downloadRobots(origin) {
+  try {
+    const response = await guardedGet(`${origin}/robots.txt`, {
+      responseType: 'text',
+      timeout: 5000,
+      maxContentLength: ROBOTS_MAX_BYTES,
+      validateStatus: () => true,
+    });
+    // RFC 9309: 4xx means no restrictions, 5xx means assume everything is disallowed
+    if (response.status >= 500) return { robots: DISALLOW_ALL, ttl: ROBOTS_ERROR_TTL };
+    if (response.status >= 400) return { robots: ALLOW_ALL, ttl: ROBOTS_CACHE_TTL };
+    return { robots: parseRobots(response.data), ttl: ROBOTS_CACHE_TTL };
+  } catch (error) {
+    console.warn(`[ROBOTS] Could not fetch ${origin}/robots.txt:`, error.message);
+    return { robots: DISALLOW_ALL, ttl: ROBOTS_ERROR_TTL };
+  }
+}
+
+// Cached per origin; concurrent lookups for one origin share a download
+async function getRobots(url) {
+  const { origin } = new URL(url);
+  const cached = await robotsCache.get(origin);
+  if (cached) return cached;
+
+  if (!pendingRobots.has(origin)) {
+    pendingRobots.set(origin, downloadRobots(origin)
+      .then(async ({ robots, ttl }) => {
+        await robotsCache.set(origin, robots, ttl);
+        return robots;
+      })
+      .finally(() => pendingRobots.delete(origin)));
+  }
+  return pendingRobots.get(origin);
+}
+
+/**
+ * Throws RobotsBlockedError when robots.txt disallows the URL for our agent.
+ * Resolves to the matching group's crawl delay in ms (or null).
+ */
+async function assertAllowed(url) {
+  if (!RESPECT_ROBOTS) return null;
+  const robots = await getRobots(url);
+  if (!isAllowed(robots, url)) throw new RobotsBlockedError(url);
+  const { crawlDelay } = groupFor(robots);
+  return crawlDelay === null ? null : crawlDelay * 1000;
+}
+
+// ============= PER-HOST THROTTLING =============
+// At most HOST_CONCURRENCY requests in flight per host, starts spaced by `delay`
+function pump(host) {
+  const state = hosts.get(host);
+  while (state.active < HOST_CONCURRENCY && state.queue.length > 0) {
+    const { resolve, delay } = state.queue.shift();
+    const now = Date.now();
+    const wait = Math.max(0, state.nextAt - now);
+    state.nextAt = Math.max(now, state.nextAt) + delay;
+    state.active++;
+    setTimeout(resolve, wait);
+  }
+  if (state.active === 0 && state.queue.length === 0 && state.nextAt <= Date.now()) hosts.delete(host);
+}
+
+function acquire(host, delay) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, queue: [], nextAt: 0 });
+  return new Promise((resolve) => {
+    hosts.get(host).queue.push({ resolve, delay });
+    pump(host);
+  });
+}
+
+function release(host) {
+  const state = hosts.get(host);
+  if (!state) return;
+  state.active--;
+  pump(host);
+}
+
+/**
+ * Run `fn` once robots.txt allows the URL and a slot for its host is free.
+ * Used for requests made on our behalf by third parties (Firecrawl) too.
+ */
+async function withPoliteness(url, fn) {
+  const crawlDelay = await assertAllowed(url);
+  const host = new URL(url).hostname.toLowerCase();
+  const delay = Math.min(Math.max(HOST_DELAY, crawlDelay || 0), MAX_HOST_DELAY);
+
+  await acquire(host, delay);
+  try {
+    return await fn();
+  } finally {
+    release(host);
+  }
+}
+
+/**
+ * GET a URL with our user agent, after the address check, the robots.txt
+ * check and host throttling, all repeated for every redirect hop. `options`
+ * are passed to axios (see guardedGet); throws BlockedAddressError for
+ * internal addresses and RobotsBlockedError for disallowed URLs.
+ */
+async function politeFetch(url, options = {}) {
+  return guardedGet(url, { ...options, eachHop: withPoliteness });
+}
+
+module.exports = {
+  politeFetch,
+  withPoliteness,
+  assertAllowed,
+  parseRobots,
+  isAllowed,
+  RobotsBlockedError,
+  USER_AGENT,
+};
@@ -0,0 +1,168 @@
+/**
+ * PROMPT TEMPLATE ENGINE - Variables, conditionals and loops for prompts
+ *
+ *   {{name}}                       value (arrays are joined with ", ")
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#if name == "day"}}...{{/if}}      also !=
+ *   {{#unless name}}...{{/unless}}
+ *   {{#each items}}{{@number}}. {{this}}{{#unless @last}}, {{/unless}}{{/each}}
+ *
+ * Inside #each: this, @index (0-based), @number (1-based), @first, @last,
+ * and the item's own fields when it is an object.
+ */
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TAG = /\{\{\s*(#if|#unless|#each|\/if|\/unless|\/each|else)?\s*([^}]*?)\s*\}\}/g;
+const CONDITION = /^(@?[\w.]+)\s*(?:(==|!=)\s*(?:"([^"]*)"|'([^']*)'|([\w.-]+)))?$/;
+// Parsed templates by source, least recently used first (Map insertion order);
+// bounded because every rendered custom prompt version adds a source
+const compiled = new Map();
+const MAX_COMPILED = 200;
+
+// ============= PARSE =============
+function parse(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    if (match.index > cursor) {
+      target().push({ type: 'text', value: source.slice(cursor, match.index) });
+    }
+    cursor = TAG.lastIndex;
+
+    const [raw, keyword, expression] = match;
+    switch (keyword) {
+      case '#if':
+      case '#unless':
+      case '#each': {
+        if (!expression) throw new TemplateError(`Missing expression in ${raw}`);
+        if (keyword !== '#each' && !CONDITION.test(expression)) {
+          throw new TemplateError(`Invalid condition in ${raw}`);
+        }
+        const node = { type: keyword.slice(1), expression, children: [], otherwise: [], inElse: false };
+        target().push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current().inElse) throw new TemplateError('{{else}} outside of a block');
+        current().inElse = true;
+        break;
+      case '/if':
+      case '/unless':
+      case '/each': {
+        const type = keyword.slice(1);
+        if (current().type !== type) {
+          throw new TemplateError(`Unexpected {{/${type}}}${stack.length > 1 ? `, expected {{/${current().type}}}` : ''}`);
+        }
+        stack.pop();
+        break;
+      }
+      default:
+        if (!/^@?[\w.]+$/.test(expression)) throw new TemplateError(`Invalid variable ${raw}`);
+        target().push({ type: 'var', path: expression });
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${current().type}}}`);
+  if (cursor < source.length) root.children.push({ type: 'text', value: source.slice(cursor) });
+  return root.children;
+}
+
+/** Parse once and cache; throws TemplateError for malformed templates. */
+function compileTemplate(source) {
+  const nodes = compiled.has(source) ? compiled.get(source) : parse(source);
+  compiled.delete(source);
+  compiled.set(source, nodes);
+  if (compiled.size > MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+  return nodes;
+}
+
+// ============= RENDER =============
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function evaluate(expression, scopes) {
+  const [, path, operator, doubleQuoted, singleQuoted, bare] = expression.match(CONDITION);
+  const value = lookup(path, scopes);
+  if (!operator) return truthy(value);
+  const expected = doubleQuoted ?? singleQuoted ?? bare;
+  return operator === '==' ? String(value) === expected : String(value) !== expected;
+}
+
+function format(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(format).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return format(lookup(node.path, scopes));
+      case 'if':
+        return renderNodes(evaluate(node.expression, scopes) ? node.children : node.otherwise, scopes);
+      case 'unless':
+        return renderNodes(evaluate(node.expression, scopes) ? node.otherwise : node.children, scopes);
+      case 'each': {
+        const items = lookup(node.expression, scopes);
+        if (!Array.isArray(items) || items.length === 0) return renderNodes(node.otherwise, scopes);
+        return items.map((item, index) => renderNodes(node.children, [
+          ...scopes,
+          item && typeof item === 'object' && !Array.isArray(item) ? item : {},
+          {
+            this: item,
+            '@index': index,
+            '@number': index + 1,
+            '@first': index === 0,
+            '@last': index === items.length - 1,
+          },
+        ])).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function renderTemplate(source, values = {}) {
+  return renderNodes(compileTemplate(source), [values]);
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  TemplateError,
+};
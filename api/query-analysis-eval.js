@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * QUERY ANALYSIS EVAL - Score api/query-analysis.js against labeled queries
+ * Reads api/query-analysis-eval.json and reports intent precision/recall/F1,
+ * top-intent accuracy, time-sensitivity accuracy, entity F1 and rewrite
+ * accuracy, separately for the cases used while writing the analyzer and the
+ * held-out cases that were never tuned against. Dates resolve against the
+ * set's referenceDate, so scores do not drift with the calendar.
+ *
+ *   node api/query-analysis-eval.js [--verbose]   (npm run eval:query)
+ */
+
+const path = require('path');
+const { analyzeQuery } = require('./query-analysis');
+
+const EVAL_SET = path.join(__dirname, 'query-analysis-eval.json');
+
+// ============= METRICS =============
+function prf(truePositives, predicted, expected) {
+  const precision = predicted ? truePositives / predicted : 1;
+  const recall = expected ? truePositives / expected : 1;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+// Set overlap between predicted and expected labels: [truePositives, missing, extra]
+function compare(predicted, expected) {
+  const want = new Set(expected);
+  const got = new Set(predicted);
+  return [
+    [...got].filter(label => want.has(label)).length,
+    [...want].filter(label => !got.has(label)),
+    [...got].filter(label => !want.has(label)),
+  ];
+}
+
+const entityKey = ([type, value]) => `${type}:${String(value).toLowerCase()}`;
+
+/**
+ * Run the analyzer over labeled cases.
+ * @param {object[]} cases - [{ query, intents, time, entities, rewrite? }]
+ * @param {string} now - reference date relative dates resolve against
+ * @returns {object} { cases, intents, topIntent, time, entities, rewrite, failures }
+ */
+function evaluate(cases, now) {
+  const totals = { intents: [0, 0, 0], entities: [0, 0, 0], top: 0, time: 0, rewrite: [0, 0] };
+  const failures = [];
+
+  for (const labeled of cases) {
+    const analysis = analyzeQuery(labeled.query, { now });
+    const problems = {};
+
+    const intents = analysis.intents.map(entry => entry.intent);
+    const [intentHits, missingIntents, extraIntents] = compare(intents, labeled.intents);
+    totals.intents[0] += intentHits;
+    totals.intents[1] += intents.length;
+    totals.intents[2] += labeled.intents.length;
+    if (missingIntents.length || extraIntents.length) problems.intents = { missing: missingIntents, extra: extraIntents };
+    if (analysis.intent === labeled.intents[0]) totals.top++;
+    else problems.topIntent = { expected: labeled.intents[0], got: analysis.intent };
+
+    if (analysis.timeSensitivity.level === labeled.time) totals.time++;
+    else problems.time = { expected: labeled.time, got: analysis.timeSensitivity.level };
+
+    const entities = analysis.entities.map(entity => entityKey([entity.type, entity.value]));
+    const [entityHits, missingEntities, extraEntities] = compare(entities, labeled.entities.map(entityKey));
+    totals.entities[0] += entityHits;
+    totals.entities[1] += entities.length;
+    totals.entities[2] += labeled.entities.length;
+    if (missingEntities.length || extraEntities.length) problems.entities = { missing: missingEntities, extra: extraEntities };
+
+    if (labeled.rewrite !== undefined) {
+      totals.rewrite[1]++;
+      if (analysis.rewrittenQuery === labeled.rewrite) totals.rewrite[0]++;
+      else problems.rewrite = { expected: labeled.rewrite, got: analysis.rewrittenQuery };
+    }
+
+    if (Object.keys(problems).length > 0) failures.push({ query: labeled.query, ...problems });
+  }
+
+  const count = cases.length;
+  return {
+    cases: count,
+    intents: prf(...totals.intents),
+    topIntent: round(totals.top / count),
+    time: round(totals.time / count),
+    entities: prf(...totals.entities),
+    rewrite: totals.rewrite[1] ? round(totals.rewrite[0] / totals.rewrite[1]) : null,
+    failures,
+  };
+}
+
+// ============= CLI =============
+if (require.main === module) {
+  const evalSet = require(EVAL_SET);
+  const verbose = process.argv.includes('--verbose');
+  for (const [name, cases] of [['cases', evalSet.cases], ['heldOut', evalSet.heldOut || []]]) {
+    const { failures, ...scores } = evaluate(cases, evalSet.referenceDate);
+    console.log(`${name}:`, JSON.stringify(scores, null, 2));
+    if (verbose) failures.forEach(failure => console.log(JSON.stringify(failure)));
+    else console.log(`${failures.length} of ${scores.cases} queries with at least one miss (--verbose to list them)`);
+  }
+}
+
+module.exports = { evaluate, EVAL_SET };
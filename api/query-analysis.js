@@ -0,0 +1,419 @@
+/**
+ * QUERY ANALYSIS - What a search query is asking for
+ * Tokens and keywords (api/text-tokenizer.js), several intents with
+ * confidence scores, entities, a topic category and how time-sensitive the
+ * query is. Relative dates ("latest", "tomorrow", "next month") are
+ * resolved against the current date into a rewritten query and a date range.
+ * Measured against api/query-analysis-eval.json (npm run eval:query).
+ */
+
+const { tokenize, normalize } = require('./text-tokenizer');
+
+// Intents scoring below this are not reported
+const MIN_CONFIDENCE = 0.35;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')})\\.?`;
+
+// ============= INTENTS =============
+// [pattern on the lowercased query, weight]; weights combine as a noisy-or,
+// so two independent signals for one intent raise its confidence
+const INTENT_SIGNALS = {
+  question: [
+    [/^(who|what|when|where|why|which|whose|how)\b/, 0.8],
+    [/^(is|are|can|could|does|do|did|should|will|would|was|were|has|have)\s+\S+\s+\S+/, 0.6],
+    [/\?\s*$/, 0.7],
+  ],
+  definition: [
+    [/^(what|who)\s+(is|are)\s+(an?\s+|the\s+)?\S+(\s+\S+)?\s*\??$/, 0.85],
+    [/\b(define|definition|meaning of|what does .+ mean)\b/, 0.85],
+  ],
+  howto: [
+    [/^how\s+(to|do|does|can|should)\b/, 0.85],
+    [/\b(tutorial|guide|step by step|walkthrough|examples?|getting started)\b/, 0.6],
+    [/\b(install|set up|setup|configure|deploy)\b/, 0.4],
+  ],
+  comparison: [
+    [/\b(vs\.?|versus)\s/, 0.9],
+    [/\b(compare|comparison|compared to|difference between|differences between|alternatives? to)\b/, 0.8],
+    [/\b(which is better|better than)\b/, 0.6],
+  ],
+  ranking: [
+    [/\btop\s+\d+\b/, 0.9],
+    [/\b(best|top|greatest|most popular|leading|fastest)\b/, 0.7],
+    [/\b(rank|ranked|ranking|rankings|rated)\b/, 0.7],
+  ],
+  news: [
+    [/\b(news|breaking|headlines|announced|announcement|press release|launch(ed)?)\b/, 0.8],
+    [/\b(today|yesterday|this week)\b/, 0.5],
+  ],
+  troubleshooting: [
+    [/\b(error|exception|bug|crash(es|ing)?|fail(s|ing|ed)?|broken|not working|doesn'?t work|won'?t)\b/, 0.75],
+    [/\b(fix|solve|resolve|debug|troubleshoot|workaround)\b/, 0.7],
+  ],
+  transactional: [
+    [/\b(buy|price|prices|pricing|cost|cheap|cheapest|deals?|discount|coupon|order|subscribe|free trial)\b/, 0.75],
+    [/\b(download|for sale)\b/, 0.6],
+  ],
+  navigational: [
+    [/\b(login|log in|sign in|sign up|signup|homepage|official (site|website)|dashboard)\b/, 0.8],
+    [/\b(docs|documentation|website|site)\s*$/, 0.5],
+  ],
+  lookup: [
+    [/^(find|search( for)?|look up|lookup|locate|show me|list( of)?)\b/, 0.7],
+  ],
+};
+
+function noisyOr(weights) {
+  return 1 - weights.reduce((rest, weight) => rest * (1 - weight), 1);
+}
+
+function scoreIntents(text, entities) {
+  const scores = {};
+  for (const [intent, signals] of Object.entries(INTENT_SIGNALS)) {
+    scores[intent] = signals.filter(([pattern]) => pattern.test(text)).map(([, weight]) => weight);
+  }
+  // Entities are signals too: an error name means troubleshooting, a bare domain navigation
+  if (entities.some(entity => entity.type === 'error')) scores.troubleshooting.push(0.8);
+  if (entities.some(entity => entity.type === 'url' || entity.type === 'domain')) scores.navigational.push(0.5);
+
+  const ranked = Object.entries(scores)
+    .map(([intent, weights]) => ({ intent, confidence: Number(noisyOr(weights).toFixed(2)) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const intents = ranked.filter(entry => entry.confidence >= MIN_CONFIDENCE);
+  if (intents.length > 0) return intents;
+  // Nothing specific: a general query, as sure as the strongest intent was weak
+  return [{ intent: 'general', confidence: Number((1 - ranked[0].confidence).toFixed(2)) }];
+}
+
+// ============= ENTITIES =============
+const TECHNOLOGIES = [
+  'javascript', 'typescript', 'python', 'java', 'rust', 'golang', 'kotlin', 'swift', 'ruby', 'php', 'c++', 'c#',
+  'react', 'vue', 'angular', 'svelte', 'next.js', 'nextjs', 'node.js', 'nodejs', 'deno', 'bun', 'django', 'flask',
+  'rails', 'laravel', 'spring', 'docker', 'kubernetes', 'terraform', 'postgres', 'postgresql', 'mysql', 'sqlite',
+  'mongodb', 'redis', 'graphql', 'aws', 'azure', 'gcp', 'vercel', 'linux', 'windows', 'macos', 'ios', 'android',
+  'tensorflow', 'pytorch', 'llm', 'gpt', 'chatgpt', 'gemini', 'claude', 'llama', 'unity', 'unreal', 'roblox', 'minecraft',
+];
+const TECHNOLOGY_PATTERN = new RegExp(
+  `(^|[^\\w.+#])(${TECHNOLOGIES.map(name => name.replace(/[.+#]/g, '\\$&')).join('|')})(?![\\w+#]|\\.\\w)`, 'gi',
+);
+const TLDS = 'com|org|net|io|dev|ai|app|co|edu|gov|info|me|sh|xyz|tech|cloud|us|uk|de|fr|jp|ca|au|in|eu';
+
+// In priority order: a span claimed by an earlier type is not matched again
+const ENTITY_PATTERNS = [
+  ['url', /\bhttps?:\/\/[^\s"'<>]+/gi],
+  ['phrase', /"([^"]+)"/g],
+  ['date', /\b(\d{4})-(\d{2})-(\d{2})\b/g],
+  ['date', new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi')],
+  ['date', new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi')],
+  ['month', new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`, 'gi')],
+  ['error', /\b[A-Z][A-Za-z]*(?:Error|Exception)\b|\bE[A-Z]{3,}\b|\b(?:http\s+)?[45]\d{2}(?=\s+(?:error|status|response)\b)|(?<=\b(?:error|status)\s+(?:code\s+)?)[45]\d{2}\b/g],
+  ['domain', new RegExp(`\\b(?:[a-z0-9-]+\\.)+(?:${TLDS})\\b(?![.\\w])`, 'gi')],
+  ['version', /\bv\d+(?:\.\d+){0,3}\b|\b\d+\.\d+(?:\.\d+){0,2}\b/gi],
+  ['year', /\b(?:19|20)\d{2}\b/g],
+  ['technology', TECHNOLOGY_PATTERN],
+];
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month ? date.toISOString().slice(0, 10) : null;
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().replace('.', '')));
+}
+
+// Normalized value of a matched entity (ISO date, year number, ...)
+function entityValue(type, text, match) {
+  switch (type) {
+    case 'phrase': return match[1];
+    case 'date':
+      if (/^\d{4}-/.test(text)) return isoDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      if (/^\d/.test(text)) return isoDate(Number(match[3]), monthIndex(match[2]), Number(match[1]));
+      return isoDate(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+    case 'month': return `${match[2]}-${String(monthIndex(match[1]) + 1).padStart(2, '0')}`;
+    case 'year': return Number(text);
+    case 'domain': return text.toLowerCase().replace(/^www\./, '');
+    case 'technology': return text.toLowerCase().replace(/\.js$/, 'js');
+    default: return text;
+  }
+}
+
+// Words that open a query without being part of a name
+const INTENT_WORDS = new Set(['best', 'top', 'find', 'search', 'compare', 'latest', 'new', 'define', 'list', 'show',
+  'buy', 'fix', 'debug', 'install', 'download', 'cheap', 'cheapest', 'recent', 'upcoming', 'breaking']);
+
+const QUESTION_WORDS = /^(who|what|when|where|why|which|whose|how|is|are|can|does|do|did|should)$/i;
+
+// Capitalized runs ("New York", "OpenAI", "GPU") not claimed by another entity
+function findNames(query, taken) {
+  const names = [];
+  const pattern = /\b(?:[A-Z][\w'&.-]*|[a-z]+[A-Z]\w*)(?:\s+(?:of\s+|the\s+|de\s+)?(?:[A-Z][\w'&.-]*|[a-z]+[A-Z]\w*))*/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    let text = match[0].replace(/[.'-]+$/, '');
+    let start = match.index;
+    // A capitalized first word is usually just the start of the sentence;
+    // acronyms ("AI"), mixed case ("OpenAI") and runs ("The Who") are kept
+    const [first] = text.split(/\s+/);
+    const plain = first === text && /^[A-Z][a-z'&.-]*$/.test(first);
+    if (start === 0 && (plain || QUESTION_WORDS.test(first) || INTENT_WORDS.has(first.toLowerCase()))) {
+      const rest = text.slice(first.length).trimStart();
+      start += text.length - rest.length;
+      text = rest;
+    }
+    if (text.length < 2 || overlaps(taken, start, start + text.length)) continue;
+    names.push({ type: 'name', text, value: text, start });
+  }
+  return names;
+}
+
+function overlaps(taken, start, end) {
+  return taken.some(span => start < span.end && end > span.start);
+}
+
+/**
+ * Entities in query order, each { type, text, value }. Types: url, phrase,
+ * date (ISO), month (YYYY-MM), error, domain, version, year, technology, name.
+ */
+function extractEntities(query) {
+  const taken = [];
+  const entities = [];
+  for (const [type, pattern] of ENTITY_PATTERNS) {
+    for (const match of query.matchAll(pattern)) {
+      // The technology pattern consumes one leading separator
+      const offset = type === 'technology' ? match[1].length : 0;
+      const text = type === 'technology' ? match[2] : match[0];
+      const start = match.index + offset;
+      const end = start + text.length;
+      if (overlaps(taken, start, end)) continue;
+      // Versions need a dot or a leading v; a lone year is a year
+      if (type === 'version' && /^\d{4}$/.test(text)) continue;
+      const value = entityValue(type, text, match);
+      if (value === null) continue;
+      taken.push({ start, end });
+      entities.push({ type, text, value, start });
+    }
+  }
+  entities.push(...findNames(query, taken));
+  return entities.sort((a, b) => a.start - b.start).map(({ start, ...entity }) => entity);
+}
+
+// ============= TIME SENSITIVITY =============
+const DAY = 86400000;
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatMonth(year, month) {
+  return `${MONTHS[month][0].toUpperCase()}${MONTHS[month].slice(1)} ${year}`;
+}
+
+// Relative expressions: how urgent they are, the window they cover and what
+// they are rewritten to against `now`. rewrite: null keeps the words.
+const TIME_EXPRESSIONS = [
+  { pattern: /\b(right now|breaking news|live (score|results|updates))\b/, level: 'high', window: 'day', range: now => [now - DAY, now] },
+  { pattern: /\b(weather|forecast|stock price|exchange rate)\b/, level: 'high', window: 'day', range: now => [now - DAY, now] },
+  { pattern: /\btoday\b|\btonight\b/, level: 'high', window: 'day', range: now => [now - DAY, now] },
+  { pattern: /\byesterday\b/, level: 'high', window: 'day', range: now => [now - DAY, now - DAY] },
+  { pattern: /\btomorrow\b/, level: 'high', window: 'day', range: now => [now + DAY, now + DAY] },
+  { pattern: /\b(this week|past week|last 7 days)\b/, level: 'high', window: 'week', range: now => [now - 7 * DAY, now] },
+  { pattern: /\blast week\b/, level: 'high', window: 'week', range: now => [now - 14 * DAY, now - 7 * DAY] },
+  { pattern: /\bnext week\b/, level: 'high', window: 'week', range: now => [now, now + 7 * DAY] },
+  {
+    pattern: /\bthis month\b/, level: 'medium', window: 'month',
+    range: now => [Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), 1), now],
+    rewrite: now => formatMonth(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth()),
+  },
+  {
+    pattern: /\blast month\b/, level: 'medium', window: 'month',
+    range: (now) => {
+      const date = new Date(now);
+      return [Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1), Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 0)];
+    },
+    rewrite: (now) => {
+      const date = new Date(Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth() - 1, 1));
+      return formatMonth(date.getUTCFullYear(), date.getUTCMonth());
+    },
+  },
+  {
+    pattern: /\bnext month\b/, level: 'medium', window: 'month',
+    range: (now) => {
+      const date = new Date(now);
+      return [Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1), Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 2, 0)];
+    },
+    rewrite: (now) => {
+      const date = new Date(Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth() + 1, 1));
+      return formatMonth(date.getUTCFullYear(), date.getUTCMonth());
+    },
+  },
+  { pattern: /\b(past month|last 30 days)\b/, level: 'medium', window: 'month', range: now => [now - 30 * DAY, now] },
+  {
+    pattern: /\bthis year\b/, level: 'medium', window: 'year',
+    range: now => [Date.UTC(new Date(now).getUTCFullYear(), 0, 1), now],
+    rewrite: now => String(new Date(now).getUTCFullYear()),
+  },
+  {
+    pattern: /\blast year\b/, level: 'low', window: 'year',
+    range: (now) => {
+      const year = new Date(now).getUTCFullYear() - 1;
+      return [Date.UTC(year, 0, 1), Date.UTC(year, 11, 31)];
+    },
+    rewrite: now => String(new Date(now).getUTCFullYear() - 1),
+  },
+  {
+    pattern: /\bnext year\b/, level: 'medium', window: 'year',
+    range: (now) => {
+      const year = new Date(now).getUTCFullYear() + 1;
+      return [Date.UTC(year, 0, 1), Date.UTC(year, 11, 31)];
+    },
+    rewrite: now => String(new Date(now).getUTCFullYear() + 1),
+  },
+  // Vague recency: wants the current state of things, no explicit window
+  { pattern: /\b(latest|newest|recent|recently|current|currently|upcoming|nowadays|up to date|up-to-date)\b/, level: 'medium', window: 'year', range: now => [now - 365 * DAY, now], vague: true },
+];
+
+const LEVELS = ['none', 'low', 'medium', 'high'];
+
+/**
+ * How much the answer depends on when the query is asked.
+ * Returns { level: none | low | medium | high, window, range: { from, to } | null,
+ * signals, referenceDate } and the query with relative dates resolved.
+ */
+function analyzeTime(query, text, entities, intents, now) {
+  const matched = TIME_EXPRESSIONS
+    .map(expression => ({ expression, match: text.match(expression.pattern) }))
+    .filter(({ match }) => match);
+  const explicit = entities.filter(entity => ['date', 'month', 'year'].includes(entity.type));
+
+  let level = 'none';
+  let window = null;
+  let range = null;
+  const signals = [];
+
+  for (const { expression, match } of matched) {
+    signals.push(match[0]);
+    if (LEVELS.indexOf(expression.level) > LEVELS.indexOf(level)) level = expression.level;
+    // The most specific (first listed) expression sets the window
+    if (!range) {
+      const [from, to] = expression.range(now);
+      range = { from: dayOf(new Date(from)), to: dayOf(new Date(to)) };
+      window = expression.window;
+    }
+  }
+
+  // An explicit date or year names the period the query is about; a period
+  // that has not ended yet also asks for fresh results, a past one for none
+  if (explicit.length > 0 && !matched.some(({ expression }) => !expression.vague)) {
+    const [entity] = explicit;
+    signals.push(entity.text);
+    if (entity.type === 'date') {
+      range = { from: entity.value, to: entity.value };
+      window = 'day';
+    } else if (entity.type === 'month') {
+      const [year, month] = entity.value.split('-').map(Number);
+      range = { from: isoDate(year, month - 1, 1), to: dayOf(new Date(Date.UTC(year, month, 0))) };
+      window = 'month';
+    } else {
+      range = { from: `${entity.value}-01-01`, to: `${entity.value}-12-31` };
+      window = 'year';
+    }
+    if (range.to < dayOf(new Date(now))) level = 'none';
+    else if (LEVELS.indexOf(level) < LEVELS.indexOf('medium')) level = 'medium';
+  }
+
+  // News without a time word still wants this week's coverage
+  if (level === 'none' && explicit.length === 0 && intents.some(entry => entry.intent === 'news')) {
+    level = 'medium';
+    window = 'week';
+    range = { from: dayOf(new Date(now - 7 * DAY)), to: dayOf(new Date(now)) };
+  }
+
+  return {
+    timeSensitivity: { level, window, range, signals, referenceDate: dayOf(new Date(now)) },
+    rewrittenQuery: rewriteTime(query, matched, explicit, level, now),
+  };
+}
+
+// "this year" -> "2026"; vague recency gets the current year when no period is named
+function rewriteTime(query, matched, explicit, level, now) {
+  let rewritten = query;
+  let named = explicit.length > 0;
+  for (const { expression } of matched) {
+    if (!expression.rewrite) continue;
+    rewritten = rewritten.replace(new RegExp(expression.pattern.source, 'i'), expression.rewrite(now));
+    named = true;
+  }
+  const vagueOnly = matched.length > 0 && matched.every(({ expression }) => expression.vague);
+  if (vagueOnly && !named && level !== 'none') {
+    rewritten = `${rewritten.replace(/[\s?]+$/, '')} ${new Date(now).getUTCFullYear()}`;
+  }
+  return rewritten.replace(/\s+/g, ' ').trim();
+}
+
+// ============= CATEGORY =============
+const CATEGORIES = {
+  'tech': ['javascript', 'typescript', 'python', 'react', 'nodejs', 'code', 'programming', 'api', 'database', 'software', 'framework', 'library', 'docker', 'linux'],
+  'ai': ['ai', 'machine', 'learning', 'model', 'neural', 'llm', 'gpt', 'chatgpt', 'embedding', 'agent', 'prompt'],
+  'business': ['startup', 'business', 'marketing', 'sales', 'growth', 'vc', 'funding', 'revenue', 'market', 'stock', 'company'],
+  'news': ['news', 'breaking', 'headline', 'election', 'announced', 'happening'],
+  'gaming': ['game', 'gaming', 'roblox', 'minecraft', 'unity', 'unreal', 'steam', 'esports', 'console'],
+};
+// Stemmed, so "games" and "gaming" both count
+const CATEGORY_TERMS = Object.fromEntries(
+  Object.entries(CATEGORIES).map(([name, words]) => [name, new Set(words.flatMap(word => tokenize(word, { stopWords: false })))]),
+);
+
+function detectCategory(terms) {
+  let best = { category: 'general', matches: 0 };
+  for (const [category, words] of Object.entries(CATEGORY_TERMS)) {
+    const matches = terms.filter(term => words.has(term)).length;
+    if (matches > best.matches) best = { category, matches };
+  }
+  return {
+    category: best.category,
+    categoryConfidence: best.matches ? Number(Math.min(0.5 + 0.2 * (best.matches - 1), 1).toFixed(2)) : 0,
+  };
+}
+
+// ============= ANALYSIS =============
+/**
+ * Analyze a search query.
+ * @param {string} query
+ * @param {object} options - { now: Date or timestamp relative dates resolve against (default: now) }
+ * @returns {object} { raw, tokens, keywords, terms, intent, intents[{ intent, confidence }],
+ *   entities, category, categoryConfidence, timeSensitivity, rewrittenQuery }
+ */
+function analyzeQuery(query, options = {}) {
+  const raw = String(query || '').trim();
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const text = normalize(raw).replace(/\s+/g, ' ');
+
+  const entities = extractEntities(raw);
+  // Words inside a URL ("/pricing") say nothing about the intent
+  const urls = entities.filter(entity => entity.type === 'url').map(entity => normalize(entity.text));
+  const intents = scoreIntents(urls.reduce((rest, url) => rest.replace(url, ' '), text), entities);
+  const terms = tokenize(raw);
+  const { timeSensitivity, rewrittenQuery } = analyzeTime(raw, text, entities, intents, now);
+
+  return {
+    raw,
+    tokens: tokenize(raw, { stopWords: false, stem: false }),
+    keywords: tokenize(raw, { stem: false }),
+    terms,
+    intent: intents[0].intent,
+    intents,
+    entities,
+    ...detectCategory(terms),
+    timeSensitivity,
+    rewrittenQuery,
+  };
+}
+
+module.exports = {
+  analyzeQuery,
+  extractEntities,
+  INTENT_SIGNALS,
+  MIN_CONFIDENCE,
+};
@@ -0,0 +1,245 @@
+/**
+ * RATE LIMITER - Shared rate limiting for every tool
+ * Token-bucket and sliding-window strategies, separate limits per client
+ * and per tool, standard RateLimit-* / Retry-After headers and 429s.
+ */
+
+const { recordRateLimit } = require('./mcp-analytics');
+const { createStore } = require('./storage');
+
+// ============= CONFIGURATION =============
+// Every limit is { strategy, limit, windowMs }. For token buckets, `limit` is
+// the bucket size and the bucket refills completely over `windowMs`.
+const DEFAULT_CONFIG = {
+  client: { strategy: 'sliding-window', limit: 100, windowMs: 600000 },
+  tools: {
+    scrape_url: { strategy: 'token-bucket', limit: 10, windowMs: 60000 },
+    crawl_site: { strategy: 'token-bucket', limit: 3, windowMs: 60000 },
+    deep_research: { strategy: 'token-bucket', limit: 5, windowMs: 60000 },
+    intelligent_search: { strategy: 'token-bucket', limit: 20, windowMs: 60000 },
+    federated_search: { strategy: 'token-bucket', limit: 10, windowMs: 60000 },
+    retrieve_passages: { strategy: 'token-bucket', limit: 30, windowMs: 60000 },
+    chat: { strategy: 'token-bucket', limit: 20, windowMs: 60000 },
+    answer_with_citations: { strategy: 'token-bucket', limit: 10, windowMs: 60000 },
+    run_workflow: { strategy: 'token-bucket', limit: 5, windowMs: 60000 },
+  },
+  // Per-client overrides: { [clientId]: { client: {...}, tools: {...} } }
+  clients: {},
+};
+
+function loadConfig() {
+  if (!process.env.RATE_LIMIT_CONFIG) return DEFAULT_CONFIG;
+  try {
+    const custom = JSON.parse(process.env.RATE_LIMIT_CONFIG);
+    return {
+      client: { ...DEFAULT_CONFIG.client, ...custom.client },
+      tools: { ...DEFAULT_CONFIG.tools, ...custom.tools },
+      clients: { ...DEFAULT_CONFIG.clients, ...custom.clients },
+    };
+  } catch (error) {
+    console.error('[RATE-LIMIT] Invalid RATE_LIMIT_CONFIG, using defaults:', error.message);
+    return DEFAULT_CONFIG;
+  }
+}
+
+const config = loadConfig();
+
+// Limiter state lives in shared storage so every instance enforces the same
+// limits; entries expire once idle for longer than their window. Each key is
+// only changed through limiterState.update, so parallel calls can't both
+// spend the same token.
+const limiterState = createStore('ratelimit');
+
+// ============= STRATEGIES =============
+// Each strategy evaluates one request against a state snapshot and returns
+// the decision plus the state to keep if the request goes through.
+const STRATEGIES = {
+  'token-bucket': (state, rule, now) => {
+    const rate = rule.limit / rule.windowMs; // tokens per ms
+    const current = state || { tokens: rule.limit, updated: now };
+    const tokens = Math.min(rule.limit, current.tokens + (now - current.updated) * rate);
+
+    if (tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        resetMs: Math.ceil((rule.limit - tokens) / rate),
+        retryAfterMs: Math.ceil((1 - tokens) / rate),
+        next: { tokens, updated: now },
+      };
+    }
+
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - 1),
+      resetMs: Math.ceil((rule.limit - (tokens - 1)) / rate),
+      retryAfterMs: 0,
+      next: { tokens: tokens - 1, updated: now },
+    };
+  },
+
+  // Sliding window counter: the previous fixed window is weighted by how much
+  // of it still overlaps the sliding window, so memory stays constant.
+  'sliding-window': (state, rule, now) => {
+    const windowMs = rule.windowMs;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let { start = windowStart, current = 0, previous = 0 } = state || {};
+
+    if (start !== windowStart) {
+      previous = start === windowStart - windowMs ? current : 0;
+      current = 0;
+      start = windowStart;
+    }
+
+    const elapsed = now - start;
+    const weight = 1 - elapsed / windowMs;
+    const estimated = previous * weight + current;
+    const resetMs = windowMs - elapsed;
+
+    if (estimated + 1 > rule.limit) {
+      // Time until the weighted estimate drops below the limit again
+      const retryAfterMs = current + 1 > rule.limit
+        ? resetMs + Math.ceil(windowMs * (1 - (rule.limit - 1) / current))
+        : Math.ceil(windowMs * (1 - (rule.limit - 1 - current) / previous)) - elapsed;
+
+      return {
+        allowed: false,
+        remaining: 0,
+        resetMs,
+        retryAfterMs: Math.max(1, retryAfterMs),
+        next: { start, current, previous },
+      };
+    }
+
+    return {
+      allowed: true,
+      remaining: Math.max(0, Math.floor(rule.limit - estimated - 1)),
+      resetMs,
+      retryAfterMs: 0,
+      next: { start, current: current + 1, previous },
+    };
+  },
+};
+
+// Give back a call that one rule allowed but another blocked
+const REFUNDS = {
+  'token-bucket': (state, rule) => ({ ...state, tokens: Math.min(rule.limit, state.tokens + 1) }),
+  'sliding-window': (state, rule, taken) => (
+    state.start === taken.start ? { ...state, current: Math.max(0, state.current - 1) } : state
+  ),
+};
+
+// ============= RULES =============
+// `toolNames` is one name or several: a tool that also calls the LLM is charged as `chat` too
+function rulesFor(clientId, toolNames) {
+  const overrides = config.clients[clientId] || {};
+  const rules = [];
+
+  const clientRule = { ...config.client, ...overrides.client };
+  rules.push({ key: `client:${clientId}`, scope: 'client', rule: clientRule });
+
+  Array.from(new Set([].concat(toolNames || []))).forEach((toolName) => {
+    const toolRule = overrides.tools?.[toolName] || config.tools[toolName];
+    if (toolRule) rules.push({ key: `tool:${toolName}:${clientId}`, scope: toolName, rule: toolRule });
+  });
+
+  return rules;
+}
+
+// The limits a call counts against: its own plus any its arguments call for (tool.limitsFor(input))
+function limitsFor(toolName, tool, input = {}) {
+  return [toolName, ...(tool?.limitsFor ? tool.limitsFor(input) : [])];
+}
+
+// ============= CHECK & CONSUME =============
+/**
+ * Count one call by `clientId` to `toolName` (or several names) against every applicable limit.
+ * Each limit decides inside its own atomic update; when any limit blocks the
+ * call, the others are refunded, so nothing is consumed. The returned result
+ * describes the most restrictive limit.
+ */
+async function consume(clientId, toolName = null) {
+  const rules = rulesFor(clientId, toolName);
+
+  // Each rule decides against the state its own atomic update reads
+  const decisions = await Promise.all(rules.map(async ({ key, scope, rule }) => {
+    const strategy = STRATEGIES[rule.strategy] || STRATEGIES['sliding-window'];
+    let decision;
+    await limiterState.update(key, (state) => {
+      decision = strategy(state, rule, Date.now());
+      return decision.next;
+    }, rule.windowMs * 2);
+    return { key, scope, rule, ...decision };
+  }));
+
+  const blocked = decisions.filter(decision => !decision.allowed);
+  if (blocked.length > 0) {
+    await Promise.all(decisions.filter(decision => decision.allowed).map(({ key, rule, next }) => {
+      const refund = REFUNDS[rule.strategy] || REFUNDS['sliding-window'];
+      return limiterState.update(key, state => (state ? refund(state, rule, next) : state), rule.windowMs * 2);
+    }));
+  }
+
+  const binding = blocked.length > 0
+    ? blocked.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+    : decisions.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  if (blocked.length > 0) await recordRateLimit(true);
+
+  return {
+    allowed: blocked.length === 0,
+    scope: binding.scope,
+    strategy: binding.rule.strategy,
+    limit: binding.rule.limit,
+    windowMs: binding.rule.windowMs,
+    remaining: binding.remaining,
+    reset: Math.ceil(binding.resetMs / 1000),
+    retryAfter: blocked.length > 0 ? Math.ceil(binding.retryAfterMs / 1000) : 0,
+  };
+}
+
+// ============= HTTP HELPERS =============
+function applyRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.reset);
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`);
+  if (!result.allowed) res.setHeader('Retry-After', result.retryAfter);
+}
+
+function sendRateLimited(res, result) {
+  applyRateLimitHeaders(res, result);
+  return res.status(429).json({
+    success: false,
+    error: 'rate_limited',
+    message: result.scope === 'client'
+      ? 'Rate limit exceeded'
+      : `Rate limit exceeded for ${result.scope}`,
+    retryAfter: result.retryAfter,
+    limit: result.limit,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Dispatcher helper: consume, set headers, and send the 429 when blocked.
+ * Returns true when the call may proceed.
+ */
+async function enforceRateLimit(res, clientId, toolName) {
+  const result = await consume(clientId, toolName);
+  if (!result.allowed) {
+    sendRateLimited(res, result);
+    return false;
+  }
+  applyRateLimitHeaders(res, result);
+  return true;
+}
+
+module.exports = {
+  consume,
+  limitsFor,
+  enforceRateLimit,
+  applyRateLimitHeaders,
+  sendRateLimited,
+  STRATEGIES,
+};
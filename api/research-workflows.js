@@ -0,0 +1,207 @@
+/**
+ * RESEARCH WORKFLOWS - Multi-step research run as real searches
+ * A workflow is data: an ordered list of steps, each one a sub-query sent
+ * through the search providers. Sources are deduplicated across steps and
+ * the run ends in one compiled result with cited sections. Progress is
+ * reported per step and can be followed live through mcp-streaming.
+ */
+
+const { intelligentSearch } = require('./search-providers');
+const { buildSources, extractiveAnswer } = require('./grounded-answer');
+const { renderTemplate } = require('./prompt-template');
+const { createStream, streamChunk, closeStream } = require('./mcp-streaming');
+const { canonicalUrl } = require('./url-utils');
+
+const DEFAULT_SOURCES_PER_STEP = 5;
+const SUMMARY_SENTENCES = 5;
+const SECTION_SENTENCES = 2;
+
+// ============= WORKFLOW DEFINITIONS =============
+// Each step: { id, title, query (prompt template, gets {{query}}), search }
+// where `search` is passed to intelligentSearch (depth, topic).
+const WORKFLOWS = {
+  'deep_research': {
+    name: 'Deep Research',
+    description: 'Foundations, expert perspectives, recent developments and contrasting viewpoints, compiled into one overview',
+    steps: [
+      { id: 'foundations', title: 'Foundational information', query: '{{query}} overview explained' },
+      { id: 'experts', title: 'Expert perspectives', query: '{{query}} expert analysis', search: { depth: 'advanced' } },
+      { id: 'recent', title: 'Recent developments', query: '{{query}} latest developments', search: { topic: 'news' } },
+      { id: 'viewpoints', title: 'Contrasting viewpoints', query: '{{query}} criticism debate' },
+    ],
+  },
+
+  'news_brief': {
+    name: 'News Brief',
+    description: 'Latest headlines with background and reactions',
+    steps: [
+      { id: 'headlines', title: 'Latest headlines', query: '{{query}}', search: { topic: 'news' } },
+      { id: 'background', title: 'Background', query: '{{query}} background explained' },
+      { id: 'reactions', title: 'Reactions and analysis', query: '{{query}} reaction analysis', search: { topic: 'news' } },
+    ],
+  },
+};
+
+function listWorkflows() {
+  return Object.entries(WORKFLOWS).map(([id, workflow]) => ({
+    id,
+    name: workflow.name,
+    description: workflow.description,
+    steps: workflow.steps.map(({ id: stepId, title }) => ({ id: stepId, title })),
+  }));
+}
+
+// ============= SOURCE DEDUPLICATION =============
+function mergeSource(sources, result, stepId) {
+  const key = canonicalUrl(result.url);
+  const existing = sources.get(key);
+  if (!existing) {
+    sources.set(key, { ...result, steps: [stepId] });
+    return true;
+  }
+  if (!existing.steps.includes(stepId)) existing.steps.push(stepId);
+  if (!existing.fullContent && result.fullContent) existing.fullContent = result.fullContent;
+  if ((result.score || 0) > (existing.score || 0)) existing.score = result.score;
+  return false;
+}
+
+// ============= COMPILE =============
+function compile(workflowId, workflow, query, steps, merged) {
+  const unique = Array.from(merged.values());
+  const sources = buildSources(unique, unique.length)
+    .map((source, index) => ({ ...source, steps: unique[index].steps }));
+
+  const sections = steps
+    .filter(step => step.status === 'complete')
+    .map((step) => {
+      const stepSources = sources.filter(source => source.steps.includes(step.id));
+      return {
+        step: step.id,
+        title: step.title,
+        summary: extractiveAnswer(step.query, stepSources, SECTION_SENTENCES) || null,
+        sources: stepSources.map(source => source.number),
+      };
+    })
+    .filter(section => section.sources.length > 0);
+
+  return {
+    workflow: workflowId,
+    name: workflow.name,
+    query,
+    summary: extractiveAnswer(query, sources, SUMMARY_SENTENCES) || null,
+    sections,
+    sources: sources.map(({ text, ...source }) => source),
+  };
+}
+
+// ============= RUN =============
+/**
+ * Run every step of a workflow in order and compile the result.
+ * @param {string} workflowId
+ * @param {string} query
+ * @param {object} options - { includeContent, maxSourcesPerStep, onProgress, streamId }
+ */
+async function runWorkflow(workflowId, query, options = {}) {
+  const workflow = WORKFLOWS[workflowId];
+  if (!workflow) throw new Error(`Unknown workflow: ${workflowId}`);
+
+  const { includeContent = false, maxSourcesPerStep = DEFAULT_SOURCES_PER_STEP, onProgress, streamId } = options;
+  const perStep = Math.min(Math.max(maxSourcesPerStep, 1), 10);
+  const total = workflow.steps.length + 1;
+  const emit = (type, data) => {
+    if (streamId) streamChunk(streamId, data, type);
+  };
+  const report = (progress, message) => {
+    if (onProgress) onProgress(progress, total, message);
+  };
+
+  const started = Date.now();
+  const merged = new Map();
+  const steps = [];
+  let resultCount = 0;
+
+  for (const [index, definition] of workflow.steps.entries()) {
+    const step = {
+      id: definition.id,
+      title: definition.title,
+      query: renderTemplate(definition.query, { query }).trim(),
+    };
+    report(index, `Step ${index + 1}/${workflow.steps.length}: ${step.title}`);
+    emit('step', { index, total: workflow.steps.length, ...step });
+
+    const search = await intelligentSearch(step.query, { ...definition.search, includeContent });
+    if (!search.success) {
+      Object.assign(step, { status: 'failed', error: search.error, results: 0, newSources: 0 });
+    } else {
+      const results = search.results.filter(result => result.url).slice(0, perStep);
+      const added = results.filter(result => mergeSource(merged, result, step.id)).length;
+      resultCount += results.length;
+      Object.assign(step, { status: 'complete', results: results.length, newSources: added, duplicates: results.length - added });
+    }
+
+    steps.push(step);
+    emit('step_complete', { index, ...step });
+  }
+
+  report(workflow.steps.length, 'Compiling results');
+  const succeeded = steps.filter(step => step.status === 'complete').length;
+  const compiled = compile(workflowId, workflow, query, steps, merged);
+  report(total, 'Workflow complete');
+
+  return {
+    success: succeeded > 0,
+    ...(succeeded === 0 && { error: 'Every workflow step failed' }),
+    ...compiled,
+    steps,
+    stats: {
+      steps: steps.length,
+      failedSteps: steps.length - succeeded,
+      results: resultCount,
+      uniqueSources: merged.size,
+      duplicatesRemoved: resultCount - merged.size,
+    },
+    duration: Date.now() - started,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// ============= STREAMED RUN =============
+/**
+ * Start a workflow in the background and return its stream id at once.
+ * Chunks: metadata, step, step_complete (per step), then result + complete,
+ * or error. Subscribe with /api/streaming?action=subscribe&streamId=...
+ */
+function startWorkflowStream(workflowId, query, clientId, options = {}) {
+  if (!WORKFLOWS[workflowId]) throw new Error(`Unknown workflow: ${workflowId}`);
+
+  const streamId = createStream(clientId, query);
+  streamChunk(streamId, {
+    type: 'metadata',
+    workflow: workflowId,
+    query,
+    streamId,
+    steps: WORKFLOWS[workflowId].steps.map(({ id, title }) => ({ id, title })),
+    timestamp: Date.now(),
+  }, 'metadata');
+
+  runWorkflow(workflowId, query, { ...options, streamId })
+    .then((result) => {
+      streamChunk(streamId, result, 'result');
+      streamChunk(streamId, { status: 'complete', duration: result.duration }, 'complete');
+      closeStream(streamId, 'complete');
+    })
+    .catch((error) => {
+      console.error('[WORKFLOW ERROR]', error.message);
+      streamChunk(streamId, { status: 'error', error: error.message }, 'error');
+      closeStream(streamId, 'error');
+    });
+
+  return streamId;
+}
+
+module.exports = {
+  runWorkflow,
+  startWorkflowStream,
+  listWorkflows,
+  WORKFLOWS,
+};
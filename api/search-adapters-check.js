@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * SEARCH ADAPTERS CHECK - Response mapping against local fixture servers
+ * Serves recorded SearXNG, Brave and DuckDuckGo responses from
+ * api/fixtures/search-adapters on 127.0.0.1, points the adapters at it and
+ * checks both the requests they send and the results they map. Exits 1 on
+ * the first mismatch, so it can gate CI.
+ *
+ *   node api/search-adapters-check.js   (npm run check:adapters)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'search-adapters');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+
+// ============= FIXTURE SERVER =============
+// Every request is recorded; `q=fail` answers 500 to exercise the error path
+function startServer(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://fixtures');
+      const params = Object.fromEntries(req.method === 'POST' ? new URLSearchParams(body) : url.searchParams);
+      requests.push({ method: req.method, path: url.pathname, params, headers: req.headers });
+
+      const send = (status, type, text) => res.writeHead(status, { 'Content-Type': type }).end(text);
+      if (params.q === 'fail') return send(500, 'text/plain', 'upstream error');
+      if (url.pathname === '/searxng/search') return send(200, 'application/json', fixture('searxng.json'));
+      if (url.pathname === '/brave/web/search') return send(200, 'application/json', fixture('brave-web.json'));
+      if (url.pathname === '/brave/news/search') return send(200, 'application/json', fixture('brave-news.json'));
+      if (url.pathname === '/duckduckgo/') {
+        return send(200, 'text/html', fixture(params.q === 'challenge' ? 'duckduckgo-challenge.html' : 'duckduckgo.html'));
+      }
+      return send(404, 'text/plain', 'not found');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// ============= CHECKS =============
+const CHECKS = [
+  ['searxng maps results, engines and the first answer', async ({ searxngSearch }, requests) => {
+    const response = await searxngSearch('rust async', { maxResults: 3 });
+    assert.deepStrictEqual(requests.pop().params, { q: 'rust async', format: 'json', categories: 'general' });
+    assert.strictEqual(response.success, true);
+    assert.strictEqual(response.answer, 'Rust supports async/await since 1.39.');
+    assert.deepStrictEqual(response.results, [
+      {
+        title: 'Asynchronous Programming in Rust',
+        url: 'https://rust-lang.github.io/async-book/',
+        content: 'This book aims to be a thorough guide to asynchronous programming in Rust.',
+        publishedAt: null,
+        engines: ['duckduckgo', 'brave'],
+      },
+      {
+        title: 'Tutorial | Tokio',
+        url: 'https://tokio.rs/tokio/tutorial',
+        content: 'Tokio is an asynchronous runtime for the Rust programming language.',
+        publishedAt: '2024-03-01T00:00:00',
+        engines: ['google'],
+      },
+      {
+        title: 'Async Rust in practice',
+        url: 'https://blog.example.com/async-rust',
+        content: '',
+        publishedAt: null,
+        engines: ['bing'],
+      },
+    ]);
+  }],
+  ['searxng news topic and result limit', async ({ searxngSearch }, requests) => {
+    const response = await searxngSearch('rust news', { topic: 'news', maxResults: 1 });
+    assert.strictEqual(requests.pop().params.categories, 'news');
+    assert.strictEqual(response.results.length, 1);
+  }],
+  ['brave web results have tags stripped and entities decoded', async ({ braveSearch }, requests) => {
+    const response = await braveSearch('rust async', { maxResults: 5 });
+    const request = requests.pop();
+    assert.strictEqual(request.path, '/brave/web/search');
+    assert.strictEqual(request.headers['x-subscription-token'], 'fixture-key');
+    assert.deepStrictEqual(request.params, { q: 'rust async', count: '5' });
+    assert.deepStrictEqual(response.results, [
+      {
+        title: 'Asynchronous Programming in Rust',
+        url: 'https://rust-lang.github.io/async-book/',
+        content: 'A thorough guide to async programming in Rust & its ecosystem.',
+        publishedAt: '2024-05-10T08:00:00',
+      },
+      {
+        title: 'Tutorial | Tokio',
+        url: 'https://tokio.rs/tokio/tutorial',
+        content: 'Tokio is an asynchronous runtime.',
+        publishedAt: null,
+      },
+    ]);
+  }],
+  ['brave news reads top-level results and sends after:/before: as freshness', async ({ braveSearch }, requests) => {
+    const parsedQuery = { filters: { after: '2024-01-01', before: '2024-08-01' } };
+    const response = await braveSearch('rust release', { topic: 'news', parsedQuery });
+    const request = requests.pop();
+    assert.strictEqual(request.path, '/brave/news/search');
+    assert.strictEqual(request.params.freshness, '2024-01-01to2024-07-31');
+    assert.deepStrictEqual(response.results, [{
+      title: 'Rust 1.80 released',
+      url: 'https://blog.rust-lang.org/2024/07/25/Rust-1.80.0.html',
+      content: 'The Rust team announces a new release.',
+      publishedAt: '2024-07-25T00:00:00',
+    }]);
+  }],
+  ['duckduckgo skips ads and internal links and unwraps redirects', async ({ duckduckgoSearch }, requests) => {
+    const response = await duckduckgoSearch('rust async', { region: 'us-en' });
+    const request = requests.pop();
+    assert.strictEqual(request.method, 'POST');
+    assert.deepStrictEqual(request.params, { q: 'rust async', kl: 'us-en' });
+    assert.deepStrictEqual(response.results, [
+      {
+        title: 'Asynchronous Programming in Rust',
+        url: 'https://rust-lang.github.io/async-book/',
+        content: 'A thorough guide to async programming in Rust.',
+      },
+      {
+        title: 'Tutorial | Tokio',
+        url: 'https://tokio.rs/tokio/tutorial',
+        content: 'Tokio is an asynchronous runtime.',
+      },
+    ]);
+  }],
+  ['duckduckgo bot challenge is a failure, not an empty result', async ({ duckduckgoSearch }) => {
+    const response = await duckduckgoSearch('challenge');
+    assert.strictEqual(response.success, false);
+    assert.match(response.error, /bot challenge/);
+  }],
+  ['upstream errors come back as success: false', async ({ searxngSearch, braveSearch, duckduckgoSearch }) => {
+    for (const search of [searxngSearch, braveSearch, duckduckgoSearch]) {
+      const response = await search('fail');
+      assert.strictEqual(response.success, false);
+      assert.deepStrictEqual(response.results, []);
+    }
+  }],
+];
+
+// ============= CLI =============
+async function main() {
+  const requests = [];
+  const server = await startServer(requests);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // The adapters read their endpoints when loaded, and the cache must start empty
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'memory',
+    SEARXNG_URL: `${base}/searxng`,
+    BRAVE_API_KEY: 'fixture-key',
+    BRAVE_SEARCH_URL: `${base}/brave`,
+    DUCKDUCKGO_URL: `${base}/duckduckgo/`,
+  });
+  const adapters = require('./search-adapters');
+
+  let failed = 0;
+  for (const [name, check] of CHECKS) {
+    try {
+      await check(adapters, requests);
+      console.log(`ok    ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL  ${name}\n${error.message}`);
+    }
+  }
+  server.close();
+  console.log(`${CHECKS.length - failed} of ${CHECKS.length} checks passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) main();
@@ -0,0 +1,175 @@
+/**
+ * SEARCH ADAPTERS - SearXNG, Brave and DuckDuckGo HTML
+ * Real results for dev and self-hosted setups without a Tavily key.
+ * Every endpoint is configurable, so tests can point them at local
+ * fixture servers.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const searchCache = require('./search-cache');
+
+const SEARXNG_URL = (process.env.SEARXNG_URL || '').replace(/\/+$/, '');
+const BRAVE_API_KEY = process.env.BRAVE_API_KEY || '';
+const BRAVE_SEARCH_URL = (process.env.BRAVE_SEARCH_URL || 'https://api.search.brave.com/res/v1').replace(/\/+$/, '');
+const DUCKDUCKGO_URL = process.env.DUCKDUCKGO_URL || 'https://html.duckduckgo.com/html/';
+const TIMEOUT = parseInt(process.env.SEARCH_ADAPTER_TIMEOUT || '10000', 10);
+const USER_AGENT = 'Mozilla/5.0 (compatible; BubbleAI/1.0; +https://bubble-ai.vercel.app)';
+
+const stripTags = html => cheerio.load(`<p>${html || ''}</p>`)('p').text().replace(/\s+/g, ' ').trim();
+
+const limitOf = options => Math.min(Math.max(parseInt(options.maxResults, 10) || 10, 1), 20);
+
+function failure(provider, query, error) {
+  console.error(`[${provider.toUpperCase()} ERROR]`, error.message);
+  return { provider, query, success: false, error: error.message, results: [] };
+}
+
+// ============= SEARXNG (self-hosted JSON API) =============
+async function searxngSearch(query, options = {}) {
+  const params = { limit: limitOf(options), topic: options.topic || 'general' };
+  return searchCache.cachedSearch('searxng', query, params, () => fetchSearxng(query, params));
+}
+
+async function fetchSearxng(query, params) {
+  try {
+    if (!SEARXNG_URL) throw new Error('SEARXNG_URL is not set');
+    const response = await axios.get(`${SEARXNG_URL}/search`, {
+      params: { q: query, format: 'json', categories: params.topic === 'news' ? 'news' : 'general' },
+      headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+      timeout: TIMEOUT,
+    });
+
+    const data = response.data || {};
+    return {
+      provider: 'searxng',
+      query,
+      success: true,
+      // SearXNG scores are unbounded, so results are ranked by position instead
+      results: (data.results || []).slice(0, params.limit).map(result => ({
+        title: result.title,
+        url: result.url,
+        content: result.content || '',
+        publishedAt: result.publishedDate || null,
+        engines: result.engines || (result.engine ? [result.engine] : []),
+      })),
+      answer: (data.answers || [])[0] || null,
+    };
+  } catch (error) {
+    return failure('searxng', query, error);
+  }
+}
+
+// ============= BRAVE SEARCH API =============
+// after:/before: as Brave's custom freshness range, YYYY-MM-DDtoYYYY-MM-DD (both ends inclusive)
+function braveFreshness(filters = {}) {
+  if (!filters.after && !filters.before) return null;
+  const to = filters.before ? new Date(Date.parse(filters.before) - 86400000) : new Date();
+  return `${filters.after || '1970-01-01'}to${to.toISOString().slice(0, 10)}`;
+}
+
+async function braveSearch(query, options = {}) {
+  const freshness = braveFreshness(options.parsedQuery?.filters);
+  const params = { limit: limitOf(options), topic: options.topic || 'general', ...(freshness && { freshness }) };
+  return searchCache.cachedSearch('brave', query, params, () => fetchBrave(query, params));
+}
+
+async function fetchBrave(query, params) {
+  try {
+    if (!BRAVE_API_KEY) throw new Error('BRAVE_API_KEY is not set');
+    const news = params.topic === 'news';
+    const response = await axios.get(`${BRAVE_SEARCH_URL}/${news ? 'news' : 'web'}/search`, {
+      params: { q: query, count: params.limit, ...(params.freshness && { freshness: params.freshness }) },
+      headers: { 'X-Subscription-Token': BRAVE_API_KEY, Accept: 'application/json' },
+      timeout: TIMEOUT,
+    });
+
+    // Web results sit under `web.results`, news results at the top level
+    const results = news ? response.data?.results : response.data?.web?.results;
+    return {
+      provider: 'brave',
+      query,
+      success: true,
+      results: (results || []).slice(0, params.limit).map(result => ({
+        title: stripTags(result.title),
+        url: result.url,
+        content: stripTags(result.description),
+        publishedAt: result.page_age || null,
+      })),
+    };
+  } catch (error) {
+    return failure('brave', query, error);
+  }
+}
+
+// ============= DUCKDUCKGO (HTML results) =============
+async function duckduckgoSearch(query, options = {}) {
+  const params = { limit: limitOf(options), region: options.region || 'wt-wt' };
+  return searchCache.cachedSearch('duckduckgo', query, params, () => fetchDuckDuckGo(query, params));
+}
+
+// Result links go through a redirect: //duckduckgo.com/l/?uddg=<target>
+function resolveDuckDuckGoLink(href) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, 'https://duckduckgo.com');
+    const target = url.searchParams.get('uddg');
+    if (target) return target;
+    return url.hostname.endsWith('duckduckgo.com') ? null : url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseDuckDuckGo(html, limit) {
+  const $ = cheerio.load(html);
+  const results = [];
+
+  $('.result').each((index, element) => {
+    if (results.length >= limit) return false;
+    const result = $(element);
+    if (result.hasClass('result--ad') || result.find('.badge--ad').length > 0) return undefined;
+
+    const link = result.find('a.result__a').first();
+    const url = resolveDuckDuckGoLink(link.attr('href'));
+    if (!url) return undefined;
+
+    results.push({
+      title: link.text().replace(/\s+/g, ' ').trim(),
+      url,
+      content: result.find('.result__snippet').text().replace(/\s+/g, ' ').trim(),
+    });
+    return undefined;
+  });
+
+  return { results, blocked: results.length === 0 && $('.anomaly-modal, #challenge-form').length > 0 };
+}
+
+async function fetchDuckDuckGo(query, params) {
+  try {
+    const response = await axios.post(
+      DUCKDUCKGO_URL,
+      new URLSearchParams({ q: query, kl: params.region }).toString(),
+      {
+        headers: { 'User-Agent': USER_AGENT, 'Content-Type': 'application/x-www-form-urlencoded' },
+        responseType: 'text',
+        timeout: TIMEOUT,
+      }
+    );
+
+    const { results, blocked } = parseDuckDuckGo(response.data, params.limit);
+    if (blocked) throw new Error('DuckDuckGo answered with a bot challenge; retry later');
+    return { provider: 'duckduckgo', query, success: true, results };
+  } catch (error) {
+    return failure('duckduckgo', query, error);
+  }
+}
+
+module.exports = {
+  searxngSearch,
+  braveSearch,
+  duckduckgoSearch,
+  parseDuckDuckGo,
+  searxngConfigured: () => Boolean(SEARXNG_URL),
+  braveConfigured: () => Boolean(BRAVE_API_KEY),
+};
@@ -0,0 +1,309 @@
+/**
+ * SEARCH CACHE - One result cache shared by every search tool
+ * Keys include provider and options (depth, topic, limit...), entries are
+ * evicted least-recently-used by size in bytes, and stale entries are served
+ * while a background refresh fetches a fresh copy. Identical concurrent
+ * searches are coalesced into one upstream call.
+ */
+
+const { createStore } = require('./storage');
+const { recordCacheHit } = require('./mcp-analytics');
+
+const CACHE_TTL = parseInt(process.env.SEARCH_CACHE_TTL || '300000', 10); // fresh for 5 minutes
+const STALE_TTL = parseInt(process.env.SEARCH_CACHE_STALE_TTL || '3600000', 10); // then served stale for 1 hour
+const MAX_BYTES = parseInt(process.env.SEARCH_CACHE_MAX_BYTES || String(25 * 1024 * 1024), 10);
+
+// entry:<key> -> cached result, hits:<key> -> per-entry hit count,
+// stats:<counter> -> cache-wide counters
+const searchCache = createStore('search-cache');
+
+// LRU order and sizes of the entries this instance knows about. Map keeps
+// insertion order, so re-inserting a key marks it most recently used.
+const lru = new Map(); // key -> bytes
+let lruBytes = 0;
+let lruLoaded = null;
+const revalidating = new Set();
+// key -> { promise, listeners } for searches currently running in this process
+const inflight = new Map();
+
+// ============= KEYS =============
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Build the cache key for one search. Every option that changes the results
+ * is part of the key, so `limit=5` and `limit=20` never share an entry.
+ */
+function cacheKey(provider, query, options = {}) {
+  const variant = Object.keys(options)
+    .filter(name => options[name] !== undefined && options[name] !== null)
+    .sort()
+    .map(name => `${name}=${options[name]}`)
+    .join('&');
+  return `${encodeURIComponent(normalizeQuery(query))}|${provider}|${variant}`;
+}
+
+// ============= LRU INDEX =============
+// Rebuilt from storage once per instance, oldest entries first
+function loadIndex() {
+  if (!lruLoaded) {
+    lruLoaded = searchCache.entries('entry:').then((entries) => {
+      entries
+        .sort((a, b) => a[1].storedAt - b[1].storedAt)
+        .forEach(([name, entry]) => touch(name.substring('entry:'.length), entry.bytes));
+    }).catch((error) => {
+      console.error('[SEARCH-CACHE] Index load failed:', error.message);
+    });
+  }
+  return lruLoaded;
+}
+
+function touch(key, bytes) {
+  forget(key);
+  lru.set(key, bytes);
+  lruBytes += bytes;
+}
+
+function forget(key) {
+  if (!lru.has(key)) return;
+  lruBytes -= lru.get(key);
+  lru.delete(key);
+}
+
+async function remove(key) {
+  forget(key);
+  await Promise.all([
+    searchCache.delete(`entry:${key}`),
+    searchCache.delete(`hits:${key}`),
+  ]);
+}
+
+async function evict() {
+  while (lruBytes > MAX_BYTES && lru.size > 0) {
+    const [oldest] = lru.keys();
+    await remove(oldest);
+    await searchCache.incr('stats:evictions');
+  }
+}
+
+// ============= READ / WRITE =============
+async function put(key, { provider, query, options, value, ttl = CACHE_TTL, staleTtl = STALE_TTL }) {
+  const bytes = Buffer.byteLength(JSON.stringify(value));
+  if (bytes > MAX_BYTES) return null;
+
+  const now = Date.now();
+  const entry = {
+    key,
+    provider,
+    query,
+    options,
+    value,
+    bytes,
+    storedAt: now,
+    freshUntil: now + ttl,
+  };
+
+  await searchCache.set(`entry:${key}`, entry, ttl + staleTtl);
+  touch(key, bytes);
+  await evict();
+  return entry;
+}
+
+async function read(key) {
+  const entry = await searchCache.get(`entry:${key}`);
+  if (!entry) {
+    forget(key);
+    return null;
+  }
+  touch(key, entry.bytes);
+  const hitCount = await searchCache.incr(`hits:${key}`, 1, Math.max(1, entry.freshUntil - Date.now() + STALE_TTL));
+  return { ...entry, hitCount };
+}
+
+function describe(entry) {
+  const age = Date.now() - entry.storedAt;
+  return { age, isStale: Date.now() >= entry.freshUntil };
+}
+
+// Default: errors and failed lookups are never cached
+const isCacheable = value => Boolean(value) && value.success !== false && !value.error;
+
+function revalidate(key, params, fetcher, cacheable) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  Promise.resolve()
+    .then(fetcher)
+    .then(async (value) => {
+      if (cacheable(value)) {
+        await put(key, { ...params, value });
+        await searchCache.incr('stats:revalidations');
+      }
+    })
+    .catch(error => console.error('[SEARCH-CACHE] Revalidation failed:', error.message))
+    .finally(() => revalidating.delete(key));
+}
+
+// ============= CACHED FETCH =============
+/**
+ * Return the cached result for this provider/query/options or call
+ * `fetcher()` and cache what it returns. Stale entries are returned at once
+ * and refreshed in the background.
+ *
+ * Resolves to { value, status: 'hit' | 'stale' | 'miss', age, key }.
+ */
+async function getOrFetch(provider, query, options, fetcher, settings = {}) {
+  const { ttl = CACHE_TTL, staleTtl = STALE_TTL, cacheable = isCacheable } = settings;
+  const key = cacheKey(provider, query, options);
+  await loadIndex();
+
+  const entry = await read(key);
+  if (entry) {
+    const { age, isStale } = describe(entry);
+    await searchCache.incr(isStale ? 'stats:stale' : 'stats:hits');
+    await recordCacheHit(true);
+    if (isStale) {
+      revalidate(key, { provider, query, options, ttl, staleTtl }, fetcher, cacheable);
+    }
+    return { value: entry.value, status: isStale ? 'stale' : 'hit', age, key };
+  }
+
+  await searchCache.incr('stats:misses');
+  await recordCacheHit(false);
+
+  const value = await fetcher();
+  if (cacheable(value)) {
+    await put(key, { provider, query, options, value, ttl, staleTtl });
+  }
+  return { value, status: 'miss', age: 0, key };
+}
+
+// ============= SINGLE-FLIGHT =============
+/**
+ * Run `fn` once per key at a time: callers arriving while a call for the
+ * same key is in flight wait for it and share its result (marked
+ * `coalesced: true`) instead of calling upstream again. Progress reported
+ * by the running call is forwarded to every waiting caller.
+ */
+async function coalesce(key, fn, { onProgress } = {}) {
+  const running = inflight.get(key);
+  if (running) {
+    if (onProgress) running.listeners.push(onProgress);
+    await searchCache.incr('stats:coalesced');
+    const value = await running.promise;
+    return value && typeof value === 'object' ? { ...value, coalesced: true } : value;
+  }
+
+  const flight = { listeners: onProgress ? [onProgress] : [] };
+  const progress = (...args) => flight.listeners.forEach((listener) => {
+    try { listener(...args); } catch (error) { console.error('[SEARCH-CACHE] Progress listener failed:', error.message); }
+  });
+
+  flight.promise = Promise.resolve()
+    .then(() => fn(progress))
+    .finally(() => inflight.delete(key));
+  inflight.set(key, flight);
+  return flight.promise;
+}
+
+// ============= PROVIDER HELPER =============
+/**
+ * getOrFetch + coalesce for a search provider call. Returns the provider's
+ * response, marked `cached` / `stale` / `cacheAge` / `coalesced` as needed.
+ */
+async function cachedSearch(provider, query, params, fetcher) {
+  const key = cacheKey(provider, query, params);
+  const { value, status, age, coalesced } = await coalesce(key, () =>
+    getOrFetch(provider, query, params, fetcher)
+  );
+  if (status === 'miss') return coalesced ? { ...value, coalesced } : value;
+  return { ...value, cached: true, stale: status === 'stale', cacheAge: age, ...(coalesced && { coalesced }) };
+}
+
+// ============= LOOKUP & STATUS =============
+/**
+ * Cached entries for a query across providers and options, most recent
+ * first. `filters` narrows by provider and/or option values.
+ */
+async function lookup(query, filters = {}) {
+  const { provider, ...options } = filters;
+  const prefix = `entry:${encodeURIComponent(normalizeQuery(query))}|`;
+  const names = await searchCache.keys(prefix);
+
+  // Read-only: looking entries up does not count as a hit or refresh them
+  const entries = [];
+  for (const name of names) {
+    const entry = await searchCache.get(name);
+    if (!entry) continue;
+    if (provider && entry.provider !== provider) continue;
+    const matches = Object.entries(options)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .every(([option, value]) => String(entry.options?.[option]) === String(value));
+    if (!matches) continue;
+    const hitCount = Number((await searchCache.get(`hits:${entry.key}`)) || 0);
+    entries.push({ ...entry, hitCount, ...describe(entry) });
+  }
+
+  return entries.sort((a, b) => b.storedAt - a.storedAt);
+}
+
+async function getStats() {
+  await loadIndex();
+  const counter = async name => Number((await searchCache.get(`stats:${name}`)) || 0);
+  const entries = (await searchCache.entries('entry:')).map(([, entry]) => entry);
+  const hitCounts = await Promise.all(entries.map(entry => searchCache.get(`hits:${entry.key}`)));
+
+  const now = Date.now();
+  const hits = await counter('hits');
+  const stale = await counter('stale');
+  const misses = await counter('misses');
+  const lookups = hits + stale + misses;
+  const bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  const providers = {};
+  entries.forEach((entry) => {
+    providers[entry.provider] = (providers[entry.provider] || 0) + 1;
+  });
+
+  return {
+    entries: entries.length,
+    staleEntries: entries.filter(entry => now >= entry.freshUntil).length,
+    providers,
+    bytes,
+    maxBytes: MAX_BYTES,
+    hits,
+    staleHits: stale,
+    misses,
+    hitRate: lookups > 0 ? `${(((hits + stale) / lookups) * 100).toFixed(2)}%` : '0%',
+    entryHits: hitCounts.reduce((sum, count) => sum + Number(count || 0), 0),
+    revalidations: await counter('revalidations'),
+    evictions: await counter('evictions'),
+    coalesced: await counter('coalesced'),
+    inFlight: inflight.size,
+    averageAge: entries.length > 0
+      ? Math.round(entries.reduce((sum, entry) => sum + (now - entry.storedAt), 0) / entries.length)
+      : 0,
+    ttl: CACHE_TTL,
+    staleTtl: STALE_TTL,
+  };
+}
+
+async function clear() {
+  lru.clear();
+  lruBytes = 0;
+  return searchCache.clear();
+}
+
+module.exports = {
+  getOrFetch,
+  coalesce,
+  cachedSearch,
+  lookup,
+  getStats,
+  clear,
+  cacheKey,
+  normalizeQuery,
+  CACHE_TTL,
+  STALE_TTL,
+  MAX_BYTES,
+};
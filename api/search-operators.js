@@ -0,0 +1,215 @@
+/**
+ * SEARCH OPERATORS - site:, -term, "phrase", filetype:, after: and before:
+ * Parses the operators users type into structured filters, formats them
+ * back into query syntax for engines that understand it, and post-filters
+ * normalized results for whatever a provider cannot enforce itself.
+ */
+
+const { normalize } = require('./text-tokenizer');
+
+// Filter names are also what providers declare in `operators` and `filters` (search-registry)
+const FILTER_NAMES = ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms', 'fileTypes', 'after', 'before'];
+
+const emptyFilters = () => ({
+  includeDomains: [],
+  excludeDomains: [],
+  phrases: [],
+  excludeTerms: [],
+  fileTypes: [],
+  after: null,
+  before: null,
+});
+
+// ============= PARSING =============
+// github.com, https://www.github.com/, GitHub.com/vercel -> github.com(/vercel)
+function normalizeDomain(value) {
+  return value.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+}
+
+// 2024-01-01, 2024-01 or 2024; a partial date means its first day
+function normalizeDate(value) {
+  const match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+  const [, year, month = '1', day = '1'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Operator -> how its value lands in the filters; a null return keeps the token as text
+const OPERATORS = {
+  site: (filters, value, negated) => {
+    const domain = normalizeDomain(value);
+    if (!domain) return null;
+    return (negated ? filters.excludeDomains : filters.includeDomains).push(domain);
+  },
+  filetype: (filters, value, negated) => {
+    if (negated || !/^\.?[a-z0-9]{1,8}$/i.test(value)) return null;
+    return filters.fileTypes.push(value.toLowerCase().replace(/^\./, ''));
+  },
+  after: (filters, value, negated) => {
+    const date = normalizeDate(value);
+    if (negated || !date) return null;
+    filters.after = date;
+    return true;
+  },
+  before: (filters, value, negated) => {
+    const date = normalizeDate(value);
+    if (negated || !date) return null;
+    filters.before = date;
+    return true;
+  },
+};
+OPERATORS.ext = OPERATORS.filetype;
+
+/**
+ * Split a query into free text and filters.
+ * @param {string} query - e.g. 'react hooks site:github.com -pinterest "use effect" filetype:pdf after:2024-01-01'
+ * @returns {object} { query, text, filters, hasFilters }
+ */
+function parseOperators(query) {
+  const raw = String(query || '');
+  const filters = emptyFilters();
+  const text = [];
+  const tokens = raw.match(/-?[a-z]+:"[^"]*"|-?"[^"]*"?|\S+/gi) || [];
+
+  for (const token of tokens) {
+    const negated = token.startsWith('-') && token.length > 1;
+    const body = negated ? token.slice(1) : token;
+
+    // "exact phrase" and -"excluded phrase"
+    const quoted = body.match(/^"([^"]*)"?$/);
+    if (quoted) {
+      const phrase = quoted[1].replace(/\s+/g, ' ').trim();
+      if (phrase) (negated ? filters.excludeTerms : filters.phrases).push(phrase);
+      continue;
+    }
+
+    const operator = body.match(/^([a-z]+):(.+)$/i);
+    const handler = operator && OPERATORS[operator[1].toLowerCase()];
+    if (handler && handler(filters, operator[2].replace(/^"|"$/g, ''), negated) !== null) continue;
+
+    // -term, but not "-5" or a lone dash
+    if (negated && /^[\p{L}\p{N}]/u.test(body) && !/^\d+(\.\d+)?$/.test(body)) {
+      filters.excludeTerms.push(body.toLowerCase());
+      continue;
+    }
+    text.push(token);
+  }
+
+  for (const name of ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms', 'fileTypes']) {
+    filters[name] = Array.from(new Set(filters[name]));
+  }
+  return { query: raw, text: text.join(' '), filters, hasFilters: hasFilters(filters) };
+}
+
+// Names of the filters that are set
+function activeFilters(filters) {
+  return FILTER_NAMES.filter((name) => {
+    const value = filters?.[name];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+}
+
+function hasFilters(filters) {
+  return activeFilters(filters).length > 0;
+}
+
+// ============= QUERY SYNTAX =============
+const anyOf = values => (values.length > 1 ? `(${values.join(' OR ')})` : values[0]);
+
+/**
+ * Free text plus the filters a provider understands as query operators
+ * (Google-style syntax). Phrases it cannot quote are kept as plain words so
+ * the search still covers them; the other filters are left to post-filtering.
+ * @param {string} text - the free text from parseOperators
+ * @param {object} filters
+ * @param {string[]} operators - filter names the provider understands in query syntax
+ */
+function formatQuery(text, filters = emptyFilters(), operators = []) {
+  const supports = name => operators.includes(name);
+  const quote = value => (/\s/.test(value) ? `"${value}"` : value);
+  const parts = [text];
+
+  if (filters.phrases.length > 0) {
+    parts.push(...filters.phrases.map(phrase => (supports('phrases') ? `"${phrase}"` : phrase)));
+  }
+  if (supports('includeDomains') && filters.includeDomains.length > 0) {
+    parts.push(anyOf(filters.includeDomains.map(domain => `site:${domain}`)));
+  }
+  if (supports('excludeDomains')) parts.push(...filters.excludeDomains.map(domain => `-site:${domain}`));
+  if (supports('excludeTerms')) parts.push(...filters.excludeTerms.map(term => `-${quote(term)}`));
+  if (supports('fileTypes') && filters.fileTypes.length > 0) {
+    parts.push(anyOf(filters.fileTypes.map(type => `filetype:${type}`)));
+  }
+  if (supports('after') && filters.after) parts.push(`after:${filters.after}`);
+  if (supports('before') && filters.before) parts.push(`before:${filters.before}`);
+
+  return parts.filter(Boolean).join(' ').trim();
+}
+
+// ============= POST-FILTERING =============
+function urlParts(url) {
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.hostname.toLowerCase().replace(/^www\./, ''), path: parsed.pathname.toLowerCase() };
+  } catch (error) {
+    return null;
+  }
+}
+
+// site:github.com matches github.com and its subdomains; site:github.com/vercel also the path
+function onSite(parts, site) {
+  const [domain, ...path] = site.split('/');
+  const hostMatches = parts.host === domain || parts.host.endsWith(`.${domain}`);
+  return hostMatches && (path.length === 0 || parts.path.startsWith(`/${path.join('/')}`));
+}
+
+// Whole-word match, so -java keeps results about javascript
+function containsTerm(text, term) {
+  const escaped = normalize(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+const CHECKS = {
+  includeDomains: (result, sites, parts) => Boolean(parts) && sites.some(site => onSite(parts, site)),
+  excludeDomains: (result, sites, parts) => !parts || !sites.some(site => onSite(parts, site)),
+  phrases: (result, phrases, parts, text) => phrases.every(phrase => text.includes(normalize(phrase).replace(/\s+/g, ' '))),
+  excludeTerms: (result, terms, parts, text) => !terms.some(term => containsTerm(text, term)),
+  fileTypes: (result, types, parts) => Boolean(parts) && types.some(type => parts.path.endsWith(`.${type}`)),
+  // Results without a publication date are kept: most providers do not report one
+  after: (result, date) => !Date.parse(result.publishedAt) || new Date(result.publishedAt).toISOString().slice(0, 10) >= date,
+  before: (result, date) => !Date.parse(result.publishedAt) || new Date(result.publishedAt).toISOString().slice(0, 10) < date,
+};
+
+/**
+ * Drop normalized results that break a filter the provider did not enforce.
+ * @param {object[]} results - SearchResult[]
+ * @param {object} filters
+ * @param {string[]} native - filter names the provider already applied
+ * @returns {object} { results (re-ranked), applied: filter names checked here, removed }
+ */
+function applyFilters(results, filters, native = []) {
+  const applied = activeFilters(filters).filter(name => !native.includes(name));
+  if (applied.length === 0) return { results, applied, removed: 0 };
+
+  const kept = results.filter((result) => {
+    const parts = urlParts(result.url);
+    const text = normalize(`${result.title} ${result.content} ${result.url}`).replace(/\s+/g, ' ');
+    return applied.every(name => CHECKS[name](result, filters[name], parts, text));
+  });
+  return {
+    results: kept.map((result, index) => ({ ...result, rank: index + 1 })),
+    applied,
+    removed: results.length - kept.length,
+  };
+}
+
+module.exports = {
+  parseOperators,
+  formatQuery,
+  applyFilters,
+  activeFilters,
+  hasFilters,
+  FILTER_NAMES,
+};
@@ -1,12 +1,28 @@
 /**
  * SEARCH PROVIDERS - Tavily + Firecrawl Integration
- * Production-grade search engines used by Claude, LLMs
+ * Production-grade search engines used by Claude, LLMs. Every search engine
+ * is registered in the search registry; tools pick one by name or capability.
  */
 
 const axios = require('axios');
+const searchCache = require('./search-cache');
+const registry = require('./search-registry');
+const MCPOrchestrator = require('./mcp-orchestrator');
+const { searxngSearch, braveSearch, duckduckgoSearch, searxngConfigured, braveConfigured } = require('./search-adapters');
+const { extractPage } = require('./html-extractor');
+const { withPoliteness, RobotsBlockedError } = require('./polite-fetch');
+const { rememberText } = require('./vector-index');
+const { canonicalUrl } = require('./url-utils');
 
 const TAVILY_API_KEY = process.env.TAVILY_API_KEY || '';
 const FIRECRAWL_API_KEY = process.env.FIRECRAWL_API_KEY || '';
+const BUBBLE_SEARCH_API = process.env.BUBBLE_SEARCH_API || 'https://bubble-search-api.vercel.app/api/search';
+const BUBBLE_MAX_RESULTS = 20;
+// Tried in order when Tavily has no key; unconfigured providers are skipped
+const SEARCH_FALLBACK_CHAIN = (process.env.SEARCH_FALLBACK_CHAIN || 'searxng,brave,duckduckgo,bubble')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
 
 // ============= TAVILY SEARCH (Primary) =============
 /**
@@ -16,10 +32,26 @@ const FIRECRAWL_API_KEY = process.env.FIRECRAWL_API_KEY || '';
  */
 async function tavilySearch(query, options = {}) {
   if (!TAVILY_API_KEY) {
-    console.warn('[TAVILY] API key not set, returning mock results');
-    return mockTavilyResults(query);
+    console.warn('[TAVILY] API key not set, using the search fallback chain');
+    return fallbackSearch(query, options);
   }
 
+  // Everything sent to Tavily is part of the cache key
+  const filters = options.parsedQuery?.filters || {};
+  const params = {
+    limit: options.maxResults || 10,
+    depth: options.depth || 'basic',
+    topic: options.topic || 'general',
+    images: options.includeImages || false,
+    raw: options.rawContent || false,
+    ...(filters.includeDomains?.length > 0 && { includeDomains: filters.includeDomains }),
+    ...(filters.excludeDomains?.length > 0 && { excludeDomains: filters.excludeDomains }),
+  };
+
+  return searchCache.cachedSearch('tavily', query, params, () => fetchTavily(query, params));
+}
+
+async function fetchTavily(query, params) {
   try {
     const response = await axios.post(
       'https://api.tavily.com/search',
@@ -27,11 +59,14 @@ async function tavilySearch(query, options = {}) {
         api_key: TAVILY_API_KEY,
         query: query,
         include_answer: true,
-        max_results: options.maxResults || 10,
-        search_depth: options.depth || 'basic',
-        topic: options.topic || 'general',
-        include_images: options.includeImages || false,
-        include_raw_content: options.rawContent || false,
+        max_results: params.limit,
+        search_depth: params.depth,
+        topic: params.topic,
+        include_images: params.images,
+        include_raw_content: params.raw,
+        // site: and -site: operators (search-operators)
+        ...(params.includeDomains && { include_domains: params.includeDomains }),
+        ...(params.excludeDomains && { exclude_domains: params.excludeDomains }),
       },
       { timeout: 10000 }
     );
@@ -57,20 +92,76 @@ async function tavilySearch(query, options = {}) {
   }
 }
 
+// ============= BUBBLE SEARCH API (Free Google Search) =============
+async function bubbleSearch(query, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.maxResults, 10) || BUBBLE_MAX_RESULTS, 1), BUBBLE_MAX_RESULTS);
+
+  const response = await searchCache.cachedSearch('bubble', query, { limit }, () => fetchBubbleResults(query, limit));
+  return { provider: 'bubble', success: true, ...response };
+}
+
+async function fetchBubbleResults(query, limit) {
+  const response = await fetch(`${BUBBLE_SEARCH_API}?query=${encodeURIComponent(query)}&limit=${limit}`);
+  const data = await response.json();
+  
+  if (!data.success) throw new Error(data.error);
+  
+  const results = data.results.slice(0, limit).map((r, idx) => ({
+    title: r.title,
+    url: r.url,
+    snippet: r.snippet,
+    relevance: (limit - idx) / limit, // Simple relevance scoring
+  }));
+  
+  return { query, results, timestamp: Date.now() };
+}
+
+// ============= ORCHESTRATED MCP SERVERS =============
+// web-search-mcp with bubble-search failover, see mcp-orchestrator.js
+const orchestrator = new MCPOrchestrator();
+
+async function orchestratorSearch(query, options = {}) {
+  const response = await orchestrator.executeSearch(query, { limit: options.maxResults || 10 });
+  const data = response.results;
+  return {
+    success: response.success,
+    error: response.error,
+    server: response.server,
+    failover: response.failover || false,
+    results: Array.isArray(data) ? data : (data?.results || []),
+  };
+}
+
 // ============= FIRECRAWL SCRAPING (Deep Research) =============
 /**
  * Firecrawl - Web scraping + crawling
  * Used by: AI research, content extraction, deep analysis
  * Features: JS rendering, batch processing, crawling
+ * Without a key, or when Firecrawl fails, the page is extracted locally
+ * (html-extractor) and returned in the same { content, metadata } shape.
+ * Scraped pages are also embedded for retrieve_passages.
  */
 async function firecrawlSearch(url, options = {}) {
+  const page = await scrapePage(url, options);
+  if (page?.success && page.content) {
+    rememberText(canonicalUrl(url), page.content, {
+      type: 'page',
+      url,
+      title: page.metadata?.title || null,
+      domain: new URL(url).hostname.replace(/^www\./, ''),
+    });
+  }
+  return page;
+}
+
+async function scrapePage(url, options) {
   if (!FIRECRAWL_API_KEY) {
-    console.warn('[FIRECRAWL] API key not set');
-    return null;
+    return extractPage(url, options);
   }
 
   try {
-    const response = await axios.post(
+    // Firecrawl fetches the page for us, so robots.txt and host limits still apply
+    const response = await withPoliteness(url, () => axios.post(
       'https://api.firecrawl.dev/v1/scrape',
       {
         url: url,
@@ -83,7 +174,7 @@ async function firecrawlSearch(url, options = {}) {
         },
         timeout: 15000,
       }
-    );
+    ));
 
     return {
       provider: 'firecrawl',
@@ -93,66 +184,117 @@ async function firecrawlSearch(url, options = {}) {
       metadata: response.data.metadata || {},
     };
   } catch (error) {
+    if (error instanceof RobotsBlockedError) {
+      return { provider: 'firecrawl', url, success: false, error: error.message, blocked: true };
+    }
     console.error('[FIRECRAWL ERROR]', error.message);
-    return null;
+    const local = await extractPage(url, options);
+    return { ...local, fallbackFrom: 'firecrawl', firecrawlError: error.message };
   }
 }
 
-// ============= MOCK RESULTS (Fallback) =============
-function mockTavilyResults(query) {
+// ============= FALLBACK CHAIN (no Tavily key) =============
+async function fallbackSearch(query, options = {}) {
+  const attempts = [];
+  for (const name of SEARCH_FALLBACK_CHAIN) {
+    const provider = registry.getProvider(name);
+    if (!provider || name === 'tavily' || !provider.configured()) continue;
+
+    try {
+      // Operators are re-translated for each provider's own syntax
+      const providerQuery = options.parsedQuery ? registry.queryFor(provider, options.parsedQuery) : query;
+      const response = await provider.search(providerQuery, options);
+      if (response.success !== false && (response.results || []).length > 0) {
+        return { ...response, provider: name, fallbackFrom: 'tavily', ...(attempts.length > 0 && { attempts }) };
+      }
+      attempts.push({ provider: name, error: response.error || 'No results' });
+    } catch (error) {
+      attempts.push({ provider: name, error: error.message });
+    }
+  }
+
   return {
     provider: 'tavily',
     query,
-    success: true,
-    results: [
-      {
-        title: `Search: ${query}`,
-        url: `https://search.example.com?q=${encodeURIComponent(query)}`,
-        content: `Mock result for: ${query}. Set TAVILY_API_KEY env var for real results.`,
-        score: 0.95,
-      },
-    ],
-    answer: `Information about ${query}. Activate Tavily API for production search.`,
-    mocked: true,
+    success: false,
+    error: 'TAVILY_API_KEY is not set and no fallback provider returned results',
+    attempts,
+    results: [],
   };
 }
 
 // ============= INTELLIGENT SEARCH ORCHESTRATION =============
+// Identical concurrent searches (including deep research scrapes) share one run
 async function intelligentSearch(query, options = {}) {
-  const { depth = 'basic', includeContent = false, timeout = 10000 } = options;
+  const { depth = 'basic', includeContent = false, onProgress } = options;
+  const key = searchCache.cacheKey('intelligent', query, {
+    provider: options.provider,
+    depth,
+    content: Boolean(includeContent),
+    topic: options.topic || 'general',
+  });
+
+  return searchCache.coalesce(
+    key,
+    progress => runIntelligentSearch(query, { ...options, onProgress: progress }),
+    { onProgress }
+  );
+}
+
+async function runIntelligentSearch(query, options = {}) {
+  const { depth = 'basic', includeContent = false, timeout = 10000, onProgress } = options;
+  const report = (progress, total, message) => {
+    if (onProgress) onProgress(progress, total, message);
+  };
 
   try {
-    // Get search results from Tavily
-    const searchResults = await tavilySearch(query, {
+    report(0, undefined, `Searching: ${query}`);
+
+    // Get search results from the chosen provider (Tavily unless asked otherwise)
+    const searchResults = await registry.searchWith(query, {
+      provider: options.provider,
+      capability: options.topic === 'news' ? 'news' : 'web',
       maxResults: 15,
       depth,
       topic: options.topic || 'general',
     });
 
-    // If deep research requested, scrape top results with Firecrawl
+    // If deep research requested, scrape top results (Firecrawl, or the local extractor)
     let enrichedResults = [...searchResults.results];
-    if (includeContent && FIRECRAWL_API_KEY && searchResults.results.length > 0) {
+    if (includeContent && searchResults.results.length > 0) {
       const topResults = searchResults.results.slice(0, 3);
-      enrichedResults = await Promise.all(
+      const total = topResults.length + 2;
+      let scraped = 0;
+      report(1, total, `Found ${searchResults.results.length} results, extracting top ${topResults.length}`);
+
+      const extracted = await Promise.all(
         topResults.map(async (result) => {
           const content = await firecrawlSearch(result.url);
+          scraped++;
+          report(1 + scraped, total, `Extracted ${result.url}`);
           return {
             ...result,
             fullContent: content?.content || null,
             scrapeMetadata: content?.metadata || null,
+            ...(content?.provider && { scrapedWith: content.provider }),
           };
         })
       );
+      enrichedResults = [...extracted, ...searchResults.results.slice(topResults.length)];
+      report(total, total, 'Research complete');
+    } else {
+      report(1, 1, `Found ${searchResults.results.length} results`);
     }
 
     return {
       provider: 'intelligent',
+      searchProvider: searchResults.provider,
       query,
       success: true,
       answer: searchResults.answer,
       results: enrichedResults.slice(0, 10),
       sources: enrichedResults.length,
-      deepResearch: includeContent && FIRECRAWL_API_KEY,
+      deepResearch: Boolean(includeContent),
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
@@ -169,7 +311,9 @@ async function intelligentSearch(query, options = {}) {
 
 // ============= NEWS SEARCH =============
 async function newsSearch(query, options = {}) {
-  return tavilySearch(query, {
+  return registry.searchWith(query, {
+    provider: options.provider,
+    capability: 'news',
     maxResults: options.maxResults || 10,
     topic: 'news',
     depth: options.depth || 'basic',
@@ -185,12 +329,91 @@ async function researchSearch(query, options = {}) {
   });
 }
 
+// ============= PROVIDER REGISTRATION =============
+registry.registerProvider({
+  name: 'tavily',
+  description: 'Tavily search API, optimized for LLMs (falls back along SEARCH_FALLBACK_CHAIN without TAVILY_API_KEY)',
+  priority: 1,
+  capabilities: ['web', 'news', 'answer', 'images', 'deep'],
+  cost: { perQuery: 0.008, freeTier: '1000 queries/month' },
+  configured: () => Boolean(TAVILY_API_KEY),
+  filters: ['includeDomains', 'excludeDomains'],
+  search: tavilySearch,
+});
+
+registry.registerProvider({
+  name: 'brave',
+  description: 'Brave Search API',
+  priority: 2,
+  capabilities: ['web', 'news'],
+  cost: { perQuery: 0.003, freeTier: '2000 queries/month' },
+  configured: braveConfigured,
+  operators: ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms', 'fileTypes'],
+  filters: ['after', 'before'],
+  search: braveSearch,
+});
+
+registry.registerProvider({
+  name: 'searxng',
+  description: 'Self-hosted SearXNG metasearch (JSON API at SEARXNG_URL)',
+  priority: 3,
+  capabilities: ['web', 'news', 'answer', 'free', 'self-hosted'],
+  cost: { perQuery: 0, freeTier: 'self-hosted' },
+  configured: searxngConfigured,
+  operators: ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms'],
+  search: searxngSearch,
+});
+
+registry.registerProvider({
+  name: 'bubble',
+  description: 'bubble-search-api (free Google results)',
+  priority: 4,
+  capabilities: ['web', 'free'],
+  cost: { perQuery: 0, freeTier: 'unlimited' },
+  operators: ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms', 'fileTypes', 'after', 'before'],
+  search: bubbleSearch,
+  health: async () => {
+    const started = Date.now();
+    const response = await fetch(`${BUBBLE_SEARCH_API}?query=health&limit=1`, { signal: AbortSignal.timeout(5000) });
+    return { status: response.ok ? 'healthy' : 'unhealthy', latency: Date.now() - started, httpStatus: response.status };
+  },
+});
+
+registry.registerProvider({
+  name: 'duckduckgo',
+  description: 'DuckDuckGo HTML results, no key needed',
+  priority: 5,
+  capabilities: ['web', 'free'],
+  cost: { perQuery: 0, freeTier: 'unlimited (rate limited by DuckDuckGo)' },
+  operators: ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms', 'fileTypes'],
+  search: duckduckgoSearch,
+});
+
+registry.registerProvider({
+  name: 'orchestrator',
+  description: 'Self-hosted web-search-mcp and bubble-search servers with failover',
+  priority: 6,
+  capabilities: ['web', 'free', 'self-hosted'],
+  cost: { perQuery: 0, freeTier: 'self-hosted' },
+  configured: () => Boolean(process.env.WEB_SEARCH_MCP_URL || process.env.BUBBLE_SEARCH_URL),
+  operators: ['includeDomains', 'excludeDomains', 'phrases', 'excludeTerms'],
+  search: orchestratorSearch,
+  health: async () => {
+    const servers = await orchestrator.getAllHealth();
+    const healthy = Object.values(servers).some(server => server.status === 'healthy');
+    return { status: healthy ? 'healthy' : 'unhealthy', servers };
+  },
+});
+
 // ============= EXPORT =============
 module.exports = {
   tavilySearch,
+  bubbleSearch,
   firecrawlSearch,
   intelligentSearch,
   newsSearch,
   researchSearch,
-  mockTavilyResults,
+  searchWith: registry.searchWith,
+  listProviders: registry.listProviders,
+  checkProviderHealth: registry.checkHealth,
 };
@@ -0,0 +1,250 @@
+/**
+ * SEARCH REGISTRY - Pluggable search providers behind one interface
+ * Every provider is registered with:
+ *   name, description, priority (lower is tried first)
+ *   capabilities  e.g. ['web', 'news', 'answer', 'images', 'deep', 'free', 'self-hosted']
+ *   cost          { perQuery (USD), freeTier }
+ *   configured()  true when it can serve real results
+ *   search(query, options) -> { results, answer, ...extra } in the provider's own shape
+ *   health()      optional active check -> { status, latency, error }
+ *   operators     filters it understands as query syntax (site:, -term, ...)
+ *   filters       filters its search() applies from options.parsedQuery
+ * Search operators in the query are parsed once (search-operators), sent to
+ * the provider in its native form and enforced on the results otherwise.
+ * Tools ask for a provider by name or by capability and always get the
+ * normalized SearchResponse back.
+ */
+
+const { indexSearchResults } = require('./local-index');
+const { parseOperators, formatQuery, applyFilters, activeFilters } = require('./search-operators');
+
+const PROVIDERS = new Map();
+// name -> { calls, failures, lastLatency, lastError, lastSuccessAt, lastFailureAt }
+const usage = new Map();
+
+// ============= NORMALIZED SCHEMA =============
+/**
+ * SearchResult:
+ *   { title, url, content, score (0-1), rank (1-based), domain, provider, publishedAt, fullContent? }
+ * SearchResponse:
+ *   { provider, query, success, results: SearchResult[], answer, error?, ...provider extras }
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeResult(raw, provider, index, total) {
+  const score = Number(raw.score ?? raw.relevance);
+  return {
+    title: String(raw.title || raw.name || raw.url || '').trim(),
+    url: raw.url || raw.link || raw.href || null,
+    content: String(raw.content || raw.snippet || raw.description || raw.body || '').trim(),
+    // Providers without scores are ranked by position
+    score: Number.isFinite(score) ? Math.min(Math.max(score, 0), 1) : (total - index) / total,
+    rank: index + 1,
+    domain: raw.domain || domainOf(raw.url || raw.link || raw.href),
+    provider,
+    publishedAt: raw.publishedAt || raw.published_date || raw.publishedDate || null,
+    ...(raw.fullContent && { fullContent: raw.fullContent }),
+  };
+}
+
+function normalizeResponse(name, query, response) {
+  const { results, answer, provider, ...extra } = response || {};
+  const list = (Array.isArray(results) ? results : []).filter(result => result && (result.url || result.link || result.href));
+  return {
+    ...extra,
+    // A provider may answer through another one (Tavily's fallback chain)
+    provider: provider || name,
+    query,
+    success: response?.success !== false,
+    results: list.map((result, index) => normalizeResult(result, provider || name, index, list.length)),
+    answer: answer || null,
+  };
+}
+
+// ============= REGISTRATION =============
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.search !== 'function') {
+    throw new Error('A search provider needs a name and a search(query, options) function');
+  }
+  PROVIDERS.set(provider.name, {
+    description: '',
+    priority: 100,
+    capabilities: [],
+    cost: { perQuery: 0, freeTier: null },
+    operators: [],
+    filters: [],
+    configured: () => true,
+    ...provider,
+  });
+  return PROVIDERS.get(provider.name);
+}
+
+function getProvider(name) {
+  return PROVIDERS.get(name) || null;
+}
+
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    description: provider.description,
+    capabilities: provider.capabilities,
+    cost: provider.cost,
+    priority: provider.priority,
+    operators: [...provider.operators, ...provider.filters],
+    configured: Boolean(provider.configured()),
+  };
+}
+
+function listProviders({ capability } = {}) {
+  return Array.from(PROVIDERS.values())
+    .filter(provider => !capability || provider.capabilities.includes(capability))
+    .sort((a, b) => a.priority - b.priority)
+    .map(describeProvider);
+}
+
+// ============= SELECTION =============
+/**
+ * Pick a provider by name, or the highest-priority configured provider with
+ * the capability. When none is configured the first capable one is used, so
+ * callers still get its fallback behaviour. Throws for unknown names.
+ */
+function selectProvider({ provider, capability = 'web' } = {}) {
+  if (provider) {
+    const named = getProvider(provider);
+    if (!named) {
+      throw new Error(`Unknown search provider: ${provider}. Available: ${Array.from(PROVIDERS.keys()).join(', ')}`);
+    }
+    return named;
+  }
+
+  const capable = Array.from(PROVIDERS.values())
+    .filter(candidate => candidate.capabilities.includes(capability))
+    .sort((a, b) => a.priority - b.priority);
+  if (capable.length === 0) throw new Error(`No search provider has the capability: ${capability}`);
+  return capable.find(candidate => candidate.configured()) || capable[0];
+}
+
+// ============= SEARCH OPERATORS =============
+/**
+ * The query a provider should receive: free text plus the filters it
+ * understands as query syntax. A query of operators only is sent as typed.
+ * @param {object} provider - registered provider
+ * @param {object} parsedQuery - from parseOperators
+ */
+function queryFor(provider, parsedQuery) {
+  if (!parsedQuery.hasFilters) return parsedQuery.query;
+  return formatQuery(parsedQuery.text, parsedQuery.filters, provider.operators) || parsedQuery.query;
+}
+
+// Post-filter for everything the provider that answered did not apply itself
+function filterResponse(response, parsedQuery, fallback) {
+  const answering = getProvider(response.provider) || fallback;
+  const native = [...answering.operators, ...answering.filters];
+  const { results, applied, removed } = applyFilters(response.results, parsedQuery.filters, native);
+  return {
+    ...response,
+    results,
+    filters: parsedQuery.filters,
+    filtering: {
+      native: activeFilters(parsedQuery.filters).filter(name => native.includes(name)),
+      postFiltered: applied,
+      removed,
+    },
+  };
+}
+
+// ============= SEARCH =============
+function record(name, latency, error) {
+  const stats = usage.get(name) || { calls: 0, failures: 0 };
+  stats.calls++;
+  stats.lastLatency = latency;
+  if (error) {
+    stats.failures++;
+    stats.lastError = error;
+    stats.lastFailureAt = Date.now();
+  } else {
+    stats.lastSuccessAt = Date.now();
+  }
+  usage.set(name, stats);
+}
+
+/**
+ * Search through the registry.
+ * @param {string} query - may contain site:, -site:, -term, "phrase", filetype:, after: and before:
+ * @param {object} options - { provider, capability, maxResults, depth, topic, ... } (the rest goes to the provider)
+ * @returns {Promise<object>} normalized SearchResponse; provider failures come back as success: false
+ */
+async function searchWith(query, options = {}) {
+  const { provider: name, capability, ...searchOptions } = options;
+  const provider = selectProvider({ provider: name, capability });
+  const parsedQuery = parseOperators(query);
+  const started = Date.now();
+
+  try {
+    const raw = parsedQuery.hasFilters
+      ? await provider.search(queryFor(provider, parsedQuery), { ...searchOptions, parsedQuery })
+      : await provider.search(query, searchOptions);
+    let response = normalizeResponse(provider.name, query, raw);
+    if (parsedQuery.hasFilters) response = filterResponse(response, parsedQuery, provider);
+    record(provider.name, Date.now() - started, response.success ? null : response.error);
+    // Fresh results feed search_local; indexing runs in the background
+    if (response.success && !response.cached && !response.coalesced && response.results.length > 0) {
+      indexSearchResults(response);
+    }
+    return response;
+  } catch (error) {
+    console.error(`[SEARCH-REGISTRY] ${provider.name} failed:`, error.message);
+    record(provider.name, Date.now() - started, error.message);
+    return { provider: provider.name, query, success: false, error: error.message, results: [], answer: null };
+  }
+}
+
+// ============= HEALTH =============
+// Active check when the provider has one, otherwise judged from recent calls
+async function checkHealth(name) {
+  const providers = name ? [selectProvider({ provider: name })] : Array.from(PROVIDERS.values());
+
+  const reports = await Promise.all(providers.map(async (provider) => {
+    const stats = usage.get(provider.name) || { calls: 0, failures: 0 };
+    let status;
+    let detail = {};
+
+    if (!provider.configured()) {
+      status = 'unconfigured';
+    } else if (provider.health) {
+      try {
+        detail = await provider.health();
+        status = detail.status;
+      } catch (error) {
+        detail = { error: error.message };
+        status = 'unhealthy';
+      }
+    } else if (!stats.calls) {
+      status = 'unknown';
+    } else {
+      status = (stats.lastFailureAt || 0) > (stats.lastSuccessAt || 0) ? 'degraded' : 'healthy';
+    }
+
+    return [provider.name, { ...describeProvider(provider), status, ...detail, usage: stats }];
+  }));
+
+  return name ? reports[0][1] : Object.fromEntries(reports);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  selectProvider,
+  searchWith,
+  queryFor,
+  checkHealth,
+  normalizeResult,
+  normalizeResponse,
+};
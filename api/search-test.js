@@ -23,8 +23,8 @@ class SearchTest {
       const duration = Date.now() - startTime;
       
       // Record successful search
-      StatsTracker.recordSearch(query, true, duration, 'external-mcp');
-      StatsTracker.updateServerStatus('external-mcp', 'healthy');
+      await StatsTracker.recordSearch(query, true, duration, 'external-mcp');
+      await StatsTracker.updateServerStatus('external-mcp', 'healthy');
       
       return {
         success: true,
@@ -38,8 +38,8 @@ class SearchTest {
       const duration = Date.now() - startTime;
       
       // Record failed search
-      StatsTracker.recordSearch(query, false, duration, 'external-mcp');
-      StatsTracker.updateServerStatus('external-mcp', 'unhealthy', error.message);
+      await StatsTracker.recordSearch(query, false, duration, 'external-mcp');
+      await StatsTracker.updateServerStatus('external-mcp', 'unhealthy', error.message);
       
       console.error(`Search test failed: ${error.message}`);
       
@@ -57,15 +57,15 @@ class SearchTest {
   static async healthCheck() {
     try {
       const response = await axios.get(`${EXTERNAL_MCP_URL}/health`, { timeout: 5000 });
-      StatsTracker.updateServerStatus('external-mcp', 'healthy');
+      await StatsTracker.updateServerStatus('external-mcp', 'healthy');
       return { status: 'healthy', server: 'external-mcp' };
     } catch (error) {
-      StatsTracker.updateServerStatus('external-mcp', 'unhealthy', error.message);
+      await StatsTracker.updateServerStatus('external-mcp', 'unhealthy', error.message);
       return { status: 'unhealthy', server: 'external-mcp', error: error.message };
     }
   }
   
-  static getStats() {
+  static async getStats() {
     return StatsTracker.getStats();
   }
 }
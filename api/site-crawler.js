@@ -0,0 +1,183 @@
+/**
+ * SITE CRAWLER - Bounded multi-page crawling
+ * Breadth-first from a seed URL, limited by depth and page count, kept on
+ * the seed's domain and inside include/exclude path patterns. Each page is
+ * extracted to Markdown (html-extractor, which only fetches public addresses
+ * and honours robots.txt and per-host limits) and registered as a resource://page/... entry in mcp-resources.
+ */
+
+const { extractPage } = require('./html-extractor');
+const { addResource } = require('./mcp-resources');
+const { canonicalUrl } = require('./url-utils');
+const { assertPublicUrl } = require('./address-guard');
+
+const MAX_DEPTH = 5;
+const MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || '50', 10);
+const CONCURRENCY = parseInt(process.env.CRAWL_CONCURRENCY || '3', 10);
+// Links to files the extractor cannot turn into Markdown
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|iso|jpe?g|png|gif|webp|svg|ico|bmp|mp3|mp4|m4a|wav|avi|mov|webm|woff2?|ttf|eot|css|js|json|xml|rss|atom|docx?|xlsx?|pptx?)$/i;
+
+// ============= URL FILTERS =============
+// Glob on path + query: `*` matches anything, e.g. "/docs/*", "*/changelog*"
+function compilePattern(pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const hostOf = url => url.hostname.toLowerCase().replace(/^www\./, '');
+
+function createFilter(seed, { include = [], exclude = [], sameDomain = true }) {
+  const includes = include.map(compilePattern);
+  const excludes = exclude.map(compilePattern);
+  const seedHost = hostOf(seed);
+
+  return (href) => {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      return 'invalid';
+    }
+    const path = `${url.pathname}${url.search}`;
+    if (!['http:', 'https:'].includes(url.protocol)) return 'protocol';
+    if (sameDomain && hostOf(url) !== seedHost) return 'domain';
+    if (SKIPPED_EXTENSIONS.test(url.pathname)) return 'file';
+    if (includes.length > 0 && !includes.some(pattern => pattern.test(path))) return 'include';
+    if (excludes.some(pattern => pattern.test(path))) return 'exclude';
+    return null;
+  };
+}
+
+// resource://page/<host><path>[?query]
+function resourceIdFor(href) {
+  const url = new URL(href);
+  return `${hostOf(url)}${url.pathname.replace(/\/$/, '') || '/'}${url.search}`;
+}
+
+// ============= CRAWL =============
+/**
+ * @param {string} seedUrl
+ * @param {object} options - { maxDepth, maxPages, include, exclude, sameDomain, includeContent, registerResources, onProgress }
+ */
+async function crawlSite(seedUrl, options = {}) {
+  let seed;
+  try {
+    seed = new URL(seedUrl);
+  } catch (error) {
+    throw new Error(`Invalid seed URL: ${seedUrl}`);
+  }
+  if (!['http:', 'https:'].includes(seed.protocol)) throw new Error('Only http(s) URLs can be crawled');
+  // Internal seeds fail the whole crawl; internal links found later fail per page in extractPage
+  await assertPublicUrl(seed.href);
+
+  const {
+    includeContent = true,
+    registerResources = true,
+    onProgress,
+  } = options;
+  const maxDepth = Math.min(Math.max(parseInt(options.maxDepth ?? 2, 10) || 0, 0), MAX_DEPTH);
+  const maxPages = Math.min(Math.max(parseInt(options.maxPages ?? 10, 10) || 1, 1), MAX_PAGES);
+  const filter = createFilter(seed, options);
+
+  const started = Date.now();
+  const seen = new Set([canonicalUrl(seed.href)]);
+  const pages = [];
+  const failed = [];
+  const skipped = {};
+  let frontier = [seed.href.split('#')[0]];
+  let leftover = 0;
+  let depth = 0;
+
+  const report = (message) => {
+    if (onProgress) onProgress(pages.length + failed.length, maxPages, message);
+  };
+  report(`Crawling ${seed.href}`);
+
+  async function visit(url) {
+    const page = await extractPage(url, { links: true });
+    if (!page.success) {
+      failed.push({ url, depth, error: page.error, ...(page.blocked && { blocked: true }) });
+      report(`Failed ${url}: ${page.error}`);
+      return [];
+    }
+
+    const entry = {
+      url,
+      finalUrl: page.metadata.url,
+      depth,
+      title: page.metadata.title || url,
+      description: page.metadata.description || null,
+      wordCount: page.metadata.wordCount || 0,
+      links: (page.links || []).length,
+    };
+    if (registerResources) {
+      entry.resourceUri = await addResource(resourceIdFor(url), page.content, 'page', {
+        title: entry.title,
+        url,
+        description: entry.description,
+        mimeType: 'text/markdown',
+        crawledFrom: seed.href,
+        depth,
+        crawledAt: new Date().toISOString(),
+      });
+    }
+    if (includeContent) entry.content = page.content;
+    pages.push(entry);
+    report(`Crawled ${url}`);
+    return page.links || [];
+  }
+
+  while (frontier.length > 0 && pages.length + failed.length < maxPages) {
+    const next = [];
+    const batch = frontier.slice(0, maxPages - pages.length - failed.length);
+    leftover = frontier.length - batch.length;
+
+    for (let i = 0; i < batch.length; i += CONCURRENCY) {
+      const found = await Promise.all(batch.slice(i, i + CONCURRENCY).map(visit));
+      if (depth >= maxDepth) continue;
+
+      // Keep the next level in discovery order, each page once
+      found.flat().forEach((href) => {
+        const key = canonicalUrl(href);
+        if (seen.has(key)) return;
+        seen.add(key);
+        const reason = filter(href);
+        if (reason) {
+          skipped[reason] = (skipped[reason] || 0) + 1;
+          return;
+        }
+        next.push(href);
+      });
+    }
+
+    frontier = next;
+    depth++;
+  }
+
+  return {
+    seed: seed.href,
+    success: pages.length > 0,
+    ...(pages.length === 0 && { error: failed[0]?.error || 'No page could be crawled' }),
+    pages,
+    failed,
+    stats: {
+      crawled: pages.length,
+      failed: failed.length,
+      blockedByRobots: failed.filter(page => page.blocked).length,
+      // Found but not visited because maxPages was reached
+      unvisited: leftover + frontier.length,
+      skipped,
+      maxDepth,
+      maxPages,
+    },
+    duration: Date.now() - started,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  crawlSite,
+};
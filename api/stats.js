@@ -3,99 +3,88 @@
  * Tracks usage metrics, search queries, and response times
  */
 
-let searchStats = {
-  totalSearches: 0,
-  successfulSearches: 0,
-  failedSearches: 0,
-  totalQueryCount: 0,
-  searchDuration: [],
-  lastUpdated: new Date(),
-  queries: [],
-  serverStatus: {
-    externalMCP: 'unknown',
-    lastHealthCheck: null
-  },
-  uptime: new Date()
-};
+const { createStore } = require('./storage');
+
+// Kept in shared storage so stats survive cold starts and agree across instances
+const searchStats = createStore('stats');
+const MAX_RECENT_QUERIES = 50;
+
+const initialServerStatus = () => ({
+  externalMCP: 'unknown',
+  lastHealthCheck: null
+});
 
 class StatsTracker {
-  static recordSearch(query, success, duration, server = 'external-mcp') {
-    searchStats.totalSearches++;
-    
-    if (success) {
-      searchStats.successfulSearches++;
-    } else {
-      searchStats.failedSearches++;
-    }
-    
-    searchStats.totalQueryCount += (query || '').split(' ').length;
-    searchStats.searchDuration.push(duration);
-    searchStats.lastUpdated = new Date();
-    
+  static async recordSearch(query, success, duration, server = 'external-mcp') {
+    await searchStats.incr('totalSearches');
+    await searchStats.incr(success ? 'successfulSearches' : 'failedSearches');
+    await searchStats.incr('totalQueryCount', (query || '').split(' ').length);
+    await searchStats.incr('totalDuration', duration);
+    await searchStats.set('lastUpdated', new Date());
+    await searchStats.setDefault('uptime', new Date());
+
     // Keep last 50 queries
-    searchStats.queries.push({
-      query,
-      success,
-      duration,
-      timestamp: new Date(),
-      server
+    await searchStats.update('queries', (queries) => {
+      const recent = queries || [];
+      recent.push({
+        query,
+        success,
+        duration,
+        timestamp: new Date(),
+        server
+      });
+      return recent.slice(-MAX_RECENT_QUERIES);
     });
-    
-    if (searchStats.queries.length > 50) {
-      searchStats.queries.shift();
-    }
   }
-  
-  static updateServerStatus(server, status, error = null) {
+
+  static async updateServerStatus(server, status, error = null) {
     if (server === 'external-mcp') {
-      searchStats.serverStatus.externalMCP = status;
-      searchStats.serverStatus.lastHealthCheck = new Date();
-      if (error) {
-        searchStats.serverStatus.lastError = error;
-      }
+      await searchStats.update('serverStatus', (current) => {
+        const serverStatus = current || initialServerStatus();
+        serverStatus.externalMCP = status;
+        serverStatus.lastHealthCheck = new Date();
+        if (error) {
+          serverStatus.lastError = error;
+        }
+        return serverStatus;
+      });
     }
   }
-  
-  static getStats() {
-    const avgDuration = searchStats.searchDuration.length > 0
-      ? Math.round(searchStats.searchDuration.reduce((a, b) => a + b, 0) / searchStats.searchDuration.length)
+
+  static async getStats() {
+    const counter = async key => Number((await searchStats.get(key)) || 0);
+    const totalSearches = await counter('totalSearches');
+    const successfulSearches = await counter('successfulSearches');
+
+    const avgDuration = totalSearches > 0
+      ? Math.round((await counter('totalDuration')) / totalSearches)
       : 0;
-    
-    const successRate = searchStats.totalSearches > 0
-      ? ((searchStats.successfulSearches / searchStats.totalSearches) * 100).toFixed(2)
+
+    const successRate = totalSearches > 0
+      ? ((successfulSearches / totalSearches) * 100).toFixed(2)
       : 0;
-    
-    const uptimeHours = Math.round((Date.now() - searchStats.uptime.getTime()) / (1000 * 60 * 60) * 100) / 100;
-    
+
+    const uptime = new Date((await searchStats.setDefault('uptime', new Date())));
+    const uptimeHours = Math.round((Date.now() - uptime.getTime()) / (1000 * 60 * 60) * 100) / 100;
+    const queries = (await searchStats.get('queries')) || [];
+
     return {
-      totalSearches: searchStats.totalSearches,
-      successfulSearches: searchStats.successfulSearches,
-      failedSearches: searchStats.failedSearches,
+      totalSearches,
+      successfulSearches,
+      failedSearches: await counter('failedSearches'),
       successRate: `${successRate}%`,
       averageDuration: `${avgDuration}ms`,
-      totalQueryCount: searchStats.totalQueryCount,
-      lastUpdated: searchStats.lastUpdated,
-      serverStatus: searchStats.serverStatus,
-      recentQueries: searchStats.queries.slice(-10),
+      totalQueryCount: await counter('totalQueryCount'),
+      lastUpdated: (await searchStats.get('lastUpdated')) || new Date(),
+      serverStatus: (await searchStats.get('serverStatus')) || initialServerStatus(),
+      recentQueries: queries.slice(-10),
       uptimeHours: uptimeHours
     };
   }
-  
-  static resetStats() {
-    searchStats = {
-      totalSearches: 0,
-      successfulSearches: 0,
-      failedSearches: 0,
-      totalQueryCount: 0,
-      searchDuration: [],
-      lastUpdated: new Date(),
-      queries: [],
-      serverStatus: {
-        externalMCP: 'unknown',
-        lastHealthCheck: null
-      },
-      uptime: new Date()
-    };
+
+  static async resetStats() {
+    await searchStats.clear();
+    await searchStats.set('uptime', new Date());
   }
 }
 
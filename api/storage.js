@@ -0,0 +1,607 @@
+/**
+ * STORAGE - Pluggable key/value backends for shared state
+ * In-memory (default), JSON file, SQLite and Redis-protocol backends behind
+ * one async interface, so caches, limits and metrics survive cold starts
+ * and can be shared between instances.
+ *
+ * STORAGE_BACKEND = memory | file | sqlite | redis
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+const STORAGE_PREFIX = process.env.STORAGE_PREFIX || 'bubble:';
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(process.cwd(), '.data', 'storage.json');
+const STORAGE_SQLITE_FILE = process.env.STORAGE_SQLITE_FILE || path.join(process.cwd(), '.data', 'storage.db');
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const REDIS_LOCK_TTL_MS = 2000;
+const REDIS_LOCK_WAIT_MS = 5000;
+
+// Values are stored as JSON in every backend, so callers always get a copy
+// and must write back after changing it, whichever backend is configured.
+const encode = value => JSON.stringify(value);
+const decode = raw => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+// Every backend's update(key, fn, ttlMs) stores fn(raw) atomically: fn must be
+// synchronous and gets the current raw value (or null).
+
+// ============= MEMORY BACKEND =============
+class MemoryBackend {
+  constructor() {
+    this.data = new Map(); // key -> { raw, expiresAt }
+  }
+
+  live(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    return this.live(key)?.raw ?? null;
+  }
+
+  async getMany(keys) {
+    return keys.map(key => this.live(key)?.raw ?? null);
+  }
+
+  async set(key, raw, ttlMs) {
+    this.data.set(key, { raw, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async setMany(entries, ttlMs) {
+    entries.forEach(([key, raw]) => this.data.set(key, { raw, expiresAt: ttlMs ? Date.now() + ttlMs : null }));
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async deleteMany(keys) {
+    return keys.filter(key => this.data.delete(key)).length;
+  }
+
+  async keys(prefix) {
+    return Array.from(this.data.keys()).filter(key => key.startsWith(prefix) && this.live(key));
+  }
+
+  async incr(key, by, ttlMs) {
+    const entry = this.live(key);
+    const value = (entry ? Number(entry.raw) : 0) + by;
+    this.data.set(key, {
+      raw: String(value),
+      expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null),
+    });
+    return value;
+  }
+
+  async update(key, fn, ttlMs) {
+    const raw = fn(this.live(key)?.raw ?? null);
+    this.data.set(key, { raw, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return raw;
+  }
+}
+
+// ============= FILE BACKEND =============
+// Memory backend persisted to one JSON file. The file is re-read whenever
+// another process has written it, so instances on one host share state.
+class FileBackend extends MemoryBackend {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.mtime = 0;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  sync() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      return; // Nothing written yet
+    }
+    if (stat.mtimeMs === this.mtime) return;
+
+    const snapshot = JSON.parse(fs.readFileSync(this.file, 'utf-8') || '{}');
+    this.data = new Map(Object.entries(snapshot));
+    this.mtime = stat.mtimeMs;
+  }
+
+  flush() {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.data)));
+    fs.renameSync(tmp, this.file);
+    this.mtime = fs.statSync(this.file).mtimeMs;
+  }
+
+  async get(key) { this.sync(); return super.get(key); }
+  async getMany(keys) { this.sync(); return super.getMany(keys); }
+  async keys(prefix) { this.sync(); return super.keys(prefix); }
+
+  async set(key, raw, ttlMs) {
+    this.sync();
+    await super.set(key, raw, ttlMs);
+    this.flush();
+  }
+
+  // One rewrite of the file for the whole batch
+  async setMany(entries, ttlMs) {
+    this.sync();
+    await super.setMany(entries, ttlMs);
+    this.flush();
+  }
+
+  async delete(key) {
+    this.sync();
+    const deleted = await super.delete(key);
+    if (deleted) this.flush();
+    return deleted;
+  }
+
+  async deleteMany(keys) {
+    this.sync();
+    const deleted = await super.deleteMany(keys);
+    if (deleted > 0) this.flush();
+    return deleted;
+  }
+
+  async incr(key, by, ttlMs) {
+    this.sync();
+    const value = await super.incr(key, by, ttlMs);
+    this.flush();
+    return value;
+  }
+
+  // Atomic within one process; like incr, two processes can still race between sync and flush
+  async update(key, fn, ttlMs) {
+    this.sync();
+    const raw = await super.update(key, fn, ttlMs);
+    this.flush();
+    return raw;
+  }
+}
+
+// ============= SQLITE BACKEND =============
+// Uses the built-in node:sqlite module (Node 22.5+), no native dependency.
+class SqliteBackend {
+  constructor(file) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error('SQLite storage requires Node.js 22.5+ (node:sqlite)');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new sqlite.DatabaseSync(file);
+    this.db.exec('PRAGMA busy_timeout = 5000'); // wait for other processes' write transactions
+    this.db.exec(`CREATE TABLE IF NOT EXISTS kv (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER
+    )`);
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+      set: this.db.prepare('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (?, ?, ?)'),
+      delete: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+      keys: this.db.prepare("SELECT key FROM kv WHERE key LIKE ? ESCAPE '\\' AND (expires_at IS NULL OR expires_at > ?)"),
+      incr: this.db.prepare(`INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          value = CASE WHEN expires_at IS NOT NULL AND expires_at <= ? THEN excluded.value ELSE CAST(value AS REAL) + ? END,
+          expires_at = CASE WHEN expires_at IS NOT NULL AND expires_at <= ? THEN excluded.expires_at ELSE expires_at END
+        RETURNING value`),
+      purge: this.db.prepare('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+    };
+    this.statements.purge.run(Date.now());
+  }
+
+  async get(key) {
+    return this.statements.get.get(key, Date.now())?.value ?? null;
+  }
+
+  async getMany(keys) {
+    const now = Date.now();
+    return keys.map(key => this.statements.get.get(key, now)?.value ?? null);
+  }
+
+  async set(key, raw, ttlMs) {
+    this.statements.set.run(key, raw, ttlMs ? Date.now() + ttlMs : null);
+  }
+
+  async setMany(entries, ttlMs) {
+    const expiresAt = ttlMs ? Date.now() + ttlMs : null;
+    this.transaction(() => entries.forEach(([key, raw]) => this.statements.set.run(key, raw, expiresAt)));
+  }
+
+  async delete(key) {
+    return this.statements.delete.run(key).changes > 0;
+  }
+
+  async deleteMany(keys) {
+    let deleted = 0;
+    this.transaction(() => keys.forEach((key) => { deleted += this.statements.delete.run(key).changes; }));
+    return deleted;
+  }
+
+  // mode 'IMMEDIATE' takes the write lock up front, so reads inside fn can't go stale
+  transaction(fn, mode = '') {
+    this.db.exec(`BEGIN ${mode}`);
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async keys(prefix) {
+    const pattern = prefix.replace(/[\\%_]/g, match => `\\${match}`) + '%';
+    return this.statements.keys.all(pattern, Date.now()).map(row => row.key);
+  }
+
+  async incr(key, by, ttlMs) {
+    const now = Date.now();
+    const expiresAt = ttlMs ? now + ttlMs : null;
+    const row = this.statements.incr.get(key, String(by), expiresAt, now, by, now);
+    return Number(row.value);
+  }
+
+  async update(key, fn, ttlMs) {
+    let raw;
+    this.transaction(() => {
+      const now = Date.now();
+      raw = fn(this.statements.get.get(key, now)?.value ?? null);
+      this.statements.set.run(key, raw, ttlMs ? now + ttlMs : null);
+    }, 'IMMEDIATE');
+    return raw;
+  }
+}
+
+// ============= REDIS BACKEND =============
+// Minimal RESP2 client over a single connection; works with Redis, Valkey,
+// KeyDB, Dragonfly and other servers speaking the Redis protocol.
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+class RedisBackend {
+  constructor(url) {
+    this.url = new URL(url);
+    this.socket = null;
+    this.ready = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.updates = new Map(); // key -> tail of this process's update chain
+  }
+
+  connect() {
+    if (this.ready) return this.ready;
+
+    this.ready = new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'rediss:';
+      const host = this.url.hostname || '127.0.0.1';
+      const port = Number(this.url.port) || 6379;
+      const socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.createConnection({ host, port });
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        const setup = [];
+        const password = decodeURIComponent(this.url.password || '');
+        const username = decodeURIComponent(this.url.username || '');
+        if (password) setup.push(this.send(username ? ['AUTH', username, password] : ['AUTH', password]));
+        const db = this.url.pathname.replace('/', '');
+        if (db) setup.push(this.send(['SELECT', db]));
+        Promise.all(setup).then(() => resolve(), reject);
+      });
+
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', (error) => {
+        console.error('[STORAGE] Redis error:', error.message);
+        this.reset(error);
+        reject(error);
+      });
+      socket.on('close', () => this.reset(new Error('Redis connection closed')));
+      socket.unref();
+      this.socket = socket;
+    });
+
+    return this.ready;
+  }
+
+  reset(error) {
+    for (const { reject } of this.pending.splice(0)) reject(error);
+    this.buffer = Buffer.alloc(0);
+    this.socket = null;
+    this.ready = null;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let offset = 0;
+    let reply;
+    while (this.pending.length > 0 && (reply = parseReply(this.buffer, offset))) {
+      offset = reply.offset;
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async get(key) {
+    return this.command('GET', key);
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+    return this.command('MGET', ...keys);
+  }
+
+  async set(key, raw, ttlMs) {
+    if (ttlMs) await this.command('SET', key, raw, 'PX', Math.ceil(ttlMs));
+    else await this.command('SET', key, raw);
+  }
+
+  async setMany(entries, ttlMs) {
+    if (entries.length === 0) return;
+    if (!ttlMs) {
+      await this.command('MSET', ...entries.flat());
+      return;
+    }
+    await this.connect();
+    await Promise.all(entries.map(([key, raw]) => this.send(['SET', key, raw, 'PX', Math.ceil(ttlMs)])));
+  }
+
+  async delete(key) {
+    return (await this.command('DEL', key)) > 0;
+  }
+
+  async deleteMany(keys) {
+    if (keys.length === 0) return 0;
+    return this.command('DEL', ...keys);
+  }
+
+  async keys(prefix) {
+    const pattern = prefix.replace(/[*?[\]\\]/g, match => `\\${match}`) + '*';
+    const found = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      found.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return Array.from(new Set(found));
+  }
+
+  async incr(key, by, ttlMs) {
+    const value = Number(await this.command('INCRBYFLOAT', key, by));
+    if (ttlMs && value === by) await this.command('PEXPIRE', key, Math.ceil(ttlMs));
+    return value;
+  }
+
+  // Updates to one key are chained within this process and run under a
+  // SET NX lock across instances, so no read-modify-write is lost.
+  update(key, fn, ttlMs) {
+    const previous = this.updates.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.updateLocked(key, fn, ttlMs));
+    const tail = run.catch(() => {});
+    this.updates.set(key, tail);
+    tail.then(() => {
+      if (this.updates.get(key) === tail) this.updates.delete(key);
+    });
+    return run;
+  }
+
+  async updateLocked(key, fn, ttlMs) {
+    const lock = `lock:${key}`;
+    const token = crypto.randomBytes(12).toString('hex');
+    const deadline = Date.now() + REDIS_LOCK_WAIT_MS;
+    while ((await this.command('SET', lock, token, 'NX', 'PX', REDIS_LOCK_TTL_MS)) !== 'OK') {
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${key}`);
+      await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+    }
+    try {
+      const raw = fn(await this.get(key));
+      await this.set(key, raw, ttlMs);
+      return raw;
+    } finally {
+      // Release only our own lock, in case it expired and someone else holds it now
+      await this.command('EVAL', "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0", 1, lock, token);
+    }
+  }
+}
+
+// ============= BACKEND SELECTION =============
+let backend = null;
+
+function createBackend(type = STORAGE_BACKEND) {
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'file':
+      return new FileBackend(STORAGE_FILE);
+    case 'sqlite':
+      return new SqliteBackend(STORAGE_SQLITE_FILE);
+    case 'redis':
+      return new RedisBackend(REDIS_URL);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${type}`);
+  }
+}
+
+function getBackend() {
+  if (!backend) {
+    backend = createBackend();
+    console.log(`[STORAGE] Using ${STORAGE_BACKEND} backend`);
+  }
+  return backend;
+}
+
+// ============= NAMESPACED STORE =============
+class Store {
+  constructor(namespace, storageBackend = null) {
+    this.namespace = namespace;
+    this.prefix = `${STORAGE_PREFIX}${namespace}:`;
+    this.explicitBackend = storageBackend;
+  }
+
+  get backend() {
+    return this.explicitBackend || getBackend();
+  }
+
+  async get(key) {
+    return decode(await this.backend.get(this.prefix + key));
+  }
+
+  async set(key, value, ttlMs = null) {
+    await this.backend.set(this.prefix + key, encode(value), ttlMs);
+    return value;
+  }
+
+  async getMany(keys) {
+    const values = await this.backend.getMany(keys.map(key => this.prefix + key));
+    return values.map(decode);
+  }
+
+  /** Write several [key, value] pairs at once (one file write, transaction or MSET). */
+  async setMany(entries, ttlMs = null) {
+    await this.backend.setMany(entries.map(([key, value]) => [this.prefix + key, encode(value)]), ttlMs);
+  }
+
+  async delete(key) {
+    return this.backend.delete(this.prefix + key);
+  }
+
+  async deleteMany(keys) {
+    return this.backend.deleteMany(keys.map(key => this.prefix + key));
+  }
+
+  async has(key) {
+    return (await this.backend.get(this.prefix + key)) !== null;
+  }
+
+  async incr(key, by = 1, ttlMs = null) {
+    return this.backend.incr(this.prefix + key, by, ttlMs);
+  }
+
+  /** Keys in this namespace, optionally narrowed by a key prefix. */
+  async keys(prefix = '') {
+    const keys = await this.backend.keys(this.prefix + prefix);
+    return keys.map(key => key.substring(this.prefix.length));
+  }
+
+  async entries(prefix = '') {
+    const keys = await this.keys(prefix);
+    const values = await this.backend.getMany(keys.map(key => this.prefix + key));
+    return keys
+      .map((key, i) => [key, decode(values[i])])
+      .filter(([, value]) => value !== null);
+  }
+
+  /** Return the stored value, storing `value` first if the key is missing. */
+  async setDefault(key, value, ttlMs = null) {
+    const existing = await this.get(key);
+    if (existing !== null) return existing;
+    return this.set(key, value, ttlMs);
+  }
+
+  /**
+   * Atomic read-modify-write: stores and returns fn(current value). fn must be
+   * synchronous. Concurrent updates to the key never interleave, across
+   * instances too (the file backend only guarantees this within one process).
+   */
+  async update(key, fn, ttlMs = null) {
+    let next;
+    await this.backend.update(this.prefix + key, (raw) => {
+      next = fn(decode(raw));
+      return encode(next);
+    }, ttlMs);
+    return next;
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    await this.deleteMany(keys);
+    return keys.length;
+  }
+}
+
+function createStore(namespace, storageBackend = null) {
+  return new Store(namespace, storageBackend);
+}
+
+module.exports = {
+  createStore,
+  createBackend,
+  getBackend,
+  Store,
+  MemoryBackend,
+  FileBackend,
+  SqliteBackend,
+  RedisBackend,
+};
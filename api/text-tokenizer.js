@@ -0,0 +1,120 @@
+/**
+ * TEXT TOKENIZER - Tokens, stop words and stemming for local search
+ * Lowercases and strips accents, splits on anything that is not a letter
+ * or digit, drops English stop words and reduces words to their Porter stem,
+ * so "Searching", "searches" and "searched" all index as "search".
+ */
+
+// ============= STOP WORDS =============
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not',
+  'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until',
+  'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+]);
+
+// ============= PORTER STEMMER =============
+// M. F. Porter, "An algorithm for suffix stripping" (1980)
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonants = `${consonant}[^aeiouy]*`;
+const vowels = `${vowel}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const MEASURE_EQ_1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+const HAS_VOWEL = new RegExp(`^(${consonants})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  // A leading y is a consonant
+  const leadingY = word[0] === 'y';
+  let w = leadingY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = w.match(/^(.+?)(ss|i)es$/))) w = match[1] + match[2];
+  else if ((match = w.match(/^(.+?)([^s])s$/))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = w.match(/^(.+?)eed$/))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y -> i
+  if ((match = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Step 2 and 3: double and single suffixes
+  if ((match = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/))
+    && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+  if ((match = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = w.match(/^(.+?)(s|t)(ion)$/)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = w.match(/^(.+?)e$/))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return leadingY ? `y${w.slice(1)}` : w;
+}
+
+// ============= TOKENIZE =============
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into index terms.
+ * @param {string} text
+ * @param {object} options - { stopWords: drop stop words (true), stem: apply the Porter stemmer (true) }
+ * @returns {string[]} terms in document order (duplicates kept)
+ */
+function tokenize(text, { stopWords = true, stem: stemming = true } = {}) {
+  const words = normalize(text).match(/[\p{L}\p{N}]+(?:['’.][\p{L}\p{N}]+)*/gu) || [];
+  return words
+    .map(word => word.replace(/['’]s$/, '').replace(/['’.]/g, ''))
+    .filter(word => word.length > 1 || /\d/.test(word))
+    .filter(word => !stopWords || !STOP_WORDS.has(word))
+    .map(word => (stemming ? stem(word) : word));
+}
+
+module.exports = {
+  tokenize,
+  stem,
+  normalize,
+  STOP_WORDS,
+};
@@ -0,0 +1,74 @@
+/**
+ * URL UTILS - Canonical URLs for deduplication
+ * Two links to the same page should produce the same key even when they
+ * differ in tracking parameters, www., trailing slashes or AMP variants.
+ */
+
+// Query parameters that only track the visit
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'ref', 'ref_src',
+  'ref_url', 'referrer', 'spm', 'cmpid', 'amp', 'outputtype',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+// https://www.google.com/amp/s/example.com/a and https://example-com.cdn.ampproject.org/c/s/example.com/a
+function unwrapAmpCache(url) {
+  const cached = url.pathname.match(/^\/(?:amp\/|c\/)(s\/)?(.+)$/);
+  const isCache = url.hostname.endsWith('.cdn.ampproject.org') || (/^(www\.)?google\.[a-z.]+$/.test(url.hostname) && url.pathname.startsWith('/amp/'));
+  if (!isCache || !cached) return url;
+  try {
+    return new URL(`${cached[1] ? 'https' : 'http'}://${cached[2]}${url.search}`);
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Canonical form of a URL, used as a dedupe key (not for fetching):
+ * https, lowercase host without www./amp., no fragment or
+ * tracking parameters, sorted query, no AMP path suffix, no trailing slash.
+ * Returns the trimmed input when it is not an absolute http(s) URL.
+ */
+function canonicalUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch (error) {
+    return String(input || '').trim();
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return url.toString();
+
+  url = unwrapAmpCache(url);
+  const host = url.hostname.toLowerCase().replace(/^(www\d*|amp)\./, '');
+  const port = url.port ? `:${url.port}` : '';
+
+  const path = url.pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\/amp(?=\/)/i, '')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/(index\.html?)?$/i, '');
+
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `https://${host}${port}${path}${query}`;
+}
+
+function sameUrl(a, b) {
+  return canonicalUrl(a) === canonicalUrl(b);
+}
+
+module.exports = {
+  canonicalUrl,
+  sameUrl,
+  isTrackingParam,
+};
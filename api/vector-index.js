@@ -0,0 +1,278 @@
+/**
+ * VECTOR INDEX - Passage retrieval by meaning
+ * Scraped pages and resources are split into overlapping passages,
+ * embedded (api/embeddings.js) and stored in shared storage. Queries are
+ * embedded with the same provider and matched by cosine similarity, with
+ * optional metadata filters, returning the top-k passages. Retrieval is a
+ * brute-force scan, kept affordable by the chunk budget and an in-process
+ * cache of parsed passages.
+ */
+
+const { createStore } = require('./storage');
+const { embed } = require('./embeddings');
+
+const CHUNK_CHARS = parseInt(process.env.VECTOR_CHUNK_CHARS || '1000', 10);
+const CHUNK_OVERLAP = parseInt(process.env.VECTOR_CHUNK_OVERLAP || '150', 10);
+const MAX_CHUNKS = parseInt(process.env.VECTOR_INDEX_MAX_CHUNKS || '3000', 10);
+const MAX_CHUNKS_PER_DOCUMENT = 50;
+// Embed every scraped page and stored resource in the background
+const AUTO_INDEX = process.env.VECTOR_INDEX_AUTO !== 'false';
+
+// chunk:<docId>#<n> -> passage, doc:<docId> -> { chunks, space, metadata, indexedAt }, stats -> { chunks }
+const vectors = createStore('vectors');
+
+// Writes are chained so concurrent indexing in one instance never interleaves.
+// Failures (e.g. the embedding provider is down) are logged and resolve to
+// null, so callers may fire and forget; nothing is stored and the next fetch
+// of the same page indexes it again.
+let writes = Promise.resolve();
+function enqueue(fn) {
+  writes = writes.then(fn).catch((error) => {
+    console.error('[VECTOR-INDEX] Indexing failed:', error.message);
+    return null;
+  });
+  return writes;
+}
+
+// ============= CHUNKING =============
+function splitLong(text, size) {
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+|$)/g) || [text];
+  const parts = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && (current + sentence).length > size) {
+      parts.push(current.trim());
+      current = '';
+    }
+    // A single sentence longer than a chunk is cut on word boundaries
+    let rest = sentence;
+    while (rest.length > size) {
+      const cut = rest.lastIndexOf(' ', size) > size / 2 ? rest.lastIndexOf(' ', size) : size;
+      parts.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut);
+    }
+    current += rest;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split text into passages of at most `size` characters along paragraph,
+ * then sentence, boundaries. A Markdown heading starts a new passage and is
+ * remembered as its `heading`; within a section each passage starts with the
+ * last `overlap` characters of the previous one.
+ */
+function chunkText(text, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP } = {}) {
+  const paragraphs = String(text || '').split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+  let heading = null;
+  let currentHeading = null;
+
+  let carried = false;
+
+  const flush = (keepOverlap = true) => {
+    if (current.trim() && !carried) chunks.push({ text: current.trim(), heading: currentHeading });
+    // The overlap starts at a word boundary; without one (a single long token) it is dropped
+    const tail = current.slice(-overlap);
+    const space = tail.indexOf(' ');
+    current = keepOverlap && overlap > 0 && space !== -1 ? tail.slice(space + 1) : '';
+    carried = Boolean(current);
+  };
+
+  for (const paragraph of paragraphs) {
+    // A heading starts a new passage, without overlap from the previous section
+    const title = paragraph.match(/^#{1,6}\s+(.+)$/m);
+    if (title && paragraph.startsWith('#')) {
+      flush(false);
+      heading = title[1].trim();
+    }
+
+    for (const part of paragraph.length > size ? splitLong(paragraph, size - overlap) : [paragraph]) {
+      if (current && current.length + part.length + 2 > size) flush();
+      // Never let the carried overlap push a passage past `size`
+      if (carried && current.length + part.length + 2 > size) current = '';
+      if (!current.trim() || carried) currentHeading = heading;
+      current = current ? `${current}\n\n${part}` : part;
+      carried = false;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+// ============= INDEXING =============
+const chunkKeys = doc => Array.from({ length: doc.chunks }, (value, i) => `chunk:${doc.docId}#${i}`);
+
+async function removeChunks(docId) {
+  const doc = await vectors.get(`doc:${docId}`);
+  if (!doc) return 0;
+  await vectors.deleteMany([...chunkKeys(doc), `doc:${docId}`]);
+  await vectors.update('stats', stats => ({ chunks: Math.max((stats?.chunks || 0) - doc.chunks, 0) }));
+  return doc.chunks;
+}
+
+// Drop whole documents, oldest first, until the chunk budget fits
+async function evict() {
+  const stats = (await vectors.get('stats')) || { chunks: 0 };
+  if (stats.chunks <= MAX_CHUNKS) return;
+  const docs = (await vectors.entries('doc:')).map(([, doc]) => doc).sort((a, b) => a.indexedAt - b.indexedAt);
+  let excess = stats.chunks - MAX_CHUNKS;
+  for (const doc of docs) {
+    if (excess <= 0) break;
+    excess -= await removeChunks(doc.docId);
+  }
+}
+
+async function writeText(docId, text, metadata, options) {
+  await removeChunks(docId);
+  const chunks = chunkText(text).slice(0, MAX_CHUNKS_PER_DOCUMENT);
+  if (chunks.length === 0) return null;
+
+  const embedded = await embed(chunks.map(chunk => chunk.text), { provider: options.provider, task: 'document' });
+  const doc = { docId, chunks: chunks.length, space: embedded.space, metadata, indexedAt: Date.now() };
+  const stats = (await vectors.get('stats')) || { chunks: 0 };
+  await vectors.setMany([
+    ...chunks.map((chunk, index) => [`chunk:${docId}#${index}`, {
+      id: `${docId}#${index}`,
+      docId,
+      index,
+      text: chunk.text,
+      heading: chunk.heading,
+      space: embedded.space,
+      // Rounded to keep stored vectors small; cosine is barely affected
+      vector: embedded.vectors[index].map(value => Number(value.toFixed(5))),
+      metadata,
+    }]),
+    [`doc:${docId}`, doc],
+    ['stats', { chunks: stats.chunks + chunks.length }],
+  ]);
+  await evict();
+  return { ...doc, provider: embedded.provider };
+}
+
+/**
+ * Chunk, embed and store a document, replacing earlier passages of the same id.
+ * @param {string} docId - canonical URL or resource URI
+ * @param {string} text
+ * @param {object} metadata - filterable fields, e.g. { type, url, title, domain }
+ * @param {object} options - { provider }
+ */
+function indexText(docId, text, metadata = {}, options = {}) {
+  if (typeof text !== 'string' || !text.trim()) return Promise.resolve(null);
+  return enqueue(() => writeText(docId, text, metadata, options));
+}
+
+// Background indexing of fetched content (scrapes, resources); off with VECTOR_INDEX_AUTO=false
+function rememberText(docId, text, metadata = {}) {
+  if (!AUTO_INDEX) return Promise.resolve(null);
+  return indexText(docId, text, metadata);
+}
+
+function removeText(docId) {
+  return enqueue(() => removeChunks(docId));
+}
+
+// ============= RETRIEVAL =============
+// { field: value } or { field: [values] } against document metadata (every passage shares it)
+function matchesFilter(doc, filter) {
+  return Object.entries(filter).every(([field, expected]) => {
+    const actual = field === 'docId' ? doc.docId : doc.metadata?.[field];
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * (b[i] || 0), 0);
+
+// docId -> { indexedAt, chunks }: parsed passages, so a query only reads
+// passages indexed since the last one instead of every stored vector
+const loaded = new Map();
+
+async function passagesOf(docs) {
+  const stale = docs.filter(doc => loaded.get(doc.docId)?.indexedAt !== doc.indexedAt);
+  if (stale.length > 0) {
+    const values = await vectors.getMany(stale.flatMap(chunkKeys));
+    let offset = 0;
+    stale.forEach((doc) => {
+      loaded.set(doc.docId, { indexedAt: doc.indexedAt, chunks: values.slice(offset, offset + doc.chunks).filter(Boolean) });
+      offset += doc.chunks;
+    });
+  }
+  return docs.flatMap(doc => loaded.get(doc.docId).chunks);
+}
+
+/**
+ * Top-k passages by cosine similarity to the query.
+ * @param {string} query
+ * @param {object} options - { topK, filter, minScore, maxPerDocument, provider }
+ */
+async function searchVectors(query, options = {}) {
+  const topK = Math.min(Math.max(parseInt(options.topK, 10) || 5, 1), 50);
+  const { filter = {}, minScore = 0, maxPerDocument } = options;
+  const started = Date.now();
+
+  // Only passages embedded in the same space as the query are compared
+  const embedded = await embed([query], { provider: options.provider, task: 'query' });
+  const [queryVector] = embedded.vectors;
+
+  // Filters match document metadata, so passages are only read for matching documents
+  const docs = (await vectors.entries('doc:')).map(([, doc]) => doc);
+  const known = new Set(docs.map(doc => doc.docId));
+  Array.from(loaded.keys()).filter(docId => !known.has(docId)).forEach(docId => loaded.delete(docId));
+
+  const scored = (await passagesOf(docs.filter(doc => doc.space === embedded.space && matchesFilter(doc, filter))))
+    .map(chunk => ({ chunk, score: dot(queryVector, chunk.vector) }))
+    .filter(entry => entry.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+
+  const perDocument = new Map();
+  const passages = [];
+  for (const { chunk, score } of scored) {
+    if (passages.length >= topK) break;
+    const count = perDocument.get(chunk.docId) || 0;
+    if (maxPerDocument && count >= maxPerDocument) continue;
+    perDocument.set(chunk.docId, count + 1);
+    passages.push({
+      id: chunk.id,
+      docId: chunk.docId,
+      chunk: chunk.index,
+      text: chunk.text,
+      heading: chunk.heading,
+      score: Number(score.toFixed(4)),
+      metadata: chunk.metadata,
+    });
+  }
+
+  return {
+    query,
+    provider: embedded.provider,
+    model: embedded.model,
+    passages,
+    candidates: scored.length,
+    duration: Date.now() - started,
+  };
+}
+
+async function getVectorStats() {
+  const docs = (await vectors.entries('doc:')).map(([, doc]) => doc);
+  const spaces = {};
+  docs.forEach((doc) => {
+    spaces[doc.space] = (spaces[doc.space] || 0) + doc.chunks;
+  });
+  return {
+    documents: docs.length,
+    chunks: ((await vectors.get('stats')) || { chunks: 0 }).chunks,
+    spaces,
+    maxChunks: MAX_CHUNKS,
+  };
+}
+
+module.exports = {
+  indexText,
+  rememberText,
+  removeText,
+  searchVectors,
+  chunkText,
+  getVectorStats,
+};